@@ -4,17 +4,457 @@
 const STORAGE_KEYS = {
   MEALS: "pgrc_meals",
   USERS: "pgrc_users",
-  CURRENT_USER: "pgrc_currentUser",
-  REVIEWS: "pgrc_reviews"
+  SESSION: "pgrc_session",
+  REVIEWS: "pgrc_reviews",
+  // Vecchia chiave che conteneva una copia completa dell’utente loggato: letta solo per migrarla
+  LEGACY_CURRENT_USER: "pgrc_currentUser",
+  // Flag: i dati sono già stati spostati da localStorage a IndexedDB
+  IDB_MIGRATED: "pgrc_idbMigrated",
+  // Versione dello schema dei dati salvati + backup temporaneo usato durante le migrazioni
+  SCHEMA_VERSION: "pgrc_schemaVersion",
+  MIGRATION_BACKUP: "pgrc_migrationBackup",
+  // Liste di categorie e aree (cucine) di TheMealDB, usate dai filtri di ricerca
+  API_LISTS: "pgrc_apiLists",
+  // Metadati della cache ricette: { mealId: { fetchedAt, usedAt } }
+  MEALS_META: "pgrc_mealsMeta",
+  // Ricette personali create dagli utenti (stessa forma delle ricette TheMealDB + ownerId)
+  RECIPES: "pgrc_recipes"
+};
+
+// Chiavi che restano sempre nel Web Storage (sincrono) e non passano dagli adapter:
+// la sessione deve essere leggibile subito dal router, anche prima che IndexedDB sia pronto
+const WEB_STORAGE_ONLY_KEYS = [STORAGE_KEYS.SESSION, STORAGE_KEYS.LEGACY_CURRENT_USER];
+
+// Configurazione del database IndexedDB:
+// - ogni collezione ha un object store con chiave "id" (un record per ricetta/utente/recensione)
+// - "kv" è uno store chiave/valore per tutte le altre chiavi pgrc_*
+// Aggiungendo una collezione si incrementa VERSION: onupgradeneeded crea gli store mancanti
+const IDB_CONFIG = {
+  NAME: "cybercuisine",
+  VERSION: 2,
+  KV_STORE: "kv"
+};
+
+// Come vengono salvate le collezioni principali negli object store:
+// - shape "map": in memoria è un oggetto { id: record } (cache ricette, ricette personali)
+// - shape "list": in memoria è un array di record (utenti, recensioni)
+const STORAGE_COLLECTIONS = {
+  [STORAGE_KEYS.MEALS]: { store: "meals", shape: "map" },
+  [STORAGE_KEYS.USERS]: { store: "users", shape: "list" },
+  [STORAGE_KEYS.REVIEWS]: { store: "reviews", shape: "list" },
+  [STORAGE_KEYS.RECIPES]: { store: "recipes", shape: "map" }
+};
+
+// Canale usato per avvisare le altre schede aperte che una chiave è cambiata
+const STORAGE_SYNC_CHANNEL = "pgrc_storage";
+
+// Migrazioni dello schema dei dati, in ordine di versione.
+// Ogni migrazione riceve { meals, users, reviews, recipes } e restituisce i dati nella nuova forma
+// (recipes, le ricette personali, può essere omesso da chi non le modifica);
+// rollback(backup) è facoltativo: di default viene ripristinato il backup salvato prima di migrare.
+// Per cambiare la forma di utenti, voci del ricettario, recensioni o ricette si aggiunge qui una
+// nuova voce.
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: "Schema iniziale: normalizza utenti, ricettario, recensioni e cache ricette",
+    migrate({ meals, users, reviews }) {
+      return {
+        meals: Object.fromEntries(
+          Object.values(meals)
+            .filter(meal => meal?.id)
+            .map(meal => [
+              meal.id,
+              { ...meal, tags: meal.tags ?? [], ingredients: meal.ingredients ?? [] }
+            ])
+        ),
+        users: users.map(user => {
+          const normalized = {
+            ...user,
+            favorites: user.favorites ?? "",
+            cookbook: (user.cookbook ?? []).map(entry => ({
+              mealId: String(entry.mealId),
+              note: entry.note ?? ""
+            }))
+          };
+          // Se l’utente ha già le credenziali hashate, la vecchia password in chiaro non serve più
+          if (normalized.credentials) delete normalized.password;
+          return normalized;
+        }),
+        reviews: reviews
+          .filter(review => review.recipeId && review.userId)
+          .map(review => ({
+            ...review,
+            recipeId: String(review.recipeId),
+            dataPreparazione: review.dataPreparazione ?? "",
+            difficolta: Number(review.difficolta),
+            gusto: Number(review.gusto),
+            commento: review.commento ?? ""
+          }))
+      };
+    }
+  },
+  {
+    version: 2,
+    description: "Ricettario: raccolte dell’utente e data di aggiunta/raccolte per ogni voce",
+    migrate({ meals, users, reviews }) {
+      return {
+        meals,
+        users: users.map(user => ({
+          ...user,
+          collections: user.collections ?? [],
+          cookbook: (user.cookbook ?? []).map(entry => ({
+            ...entry,
+            // Per le voci già presenti la data di aggiunta non è nota
+            addedAt: entry.addedAt ?? null,
+            collections: entry.collections ?? []
+          }))
+        })),
+        reviews
+      };
+    }
+  },
+  {
+    version: 3,
+    description: "Diario di cucina: più preparazioni per ricetta, con le modifiche apportate",
+    migrate({ meals, users, reviews }) {
+      return {
+        meals,
+        users,
+        reviews: reviews.map(review => ({ ...review, modifiche: review.modifiche ?? "" }))
+      };
+    }
+  },
+  {
+    version: 4,
+    description:
+      "Ricette: categoria, cucina e istruzioni mancanti salvate vuote invece che in italiano",
+    migrate({ meals, users, reviews, recipes }) {
+      const clearAll = collection =>
+        Object.fromEntries(
+          Object.entries(collection).map(([id, meal]) => [id, clearLegacyPlaceholders(meal)])
+        );
+      return { meals: clearAll(meals), users, reviews, recipes: clearAll(recipes) };
+    }
+  }
+];
+
+// Versione dello schema prodotta dall’ultima migrazione disponibile
+const CURRENT_SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+// Identificativo e versione del file di backup esportato dal profilo
+const BACKUP_FORMAT = {
+  NAME: "cybercuisine-backup",
+  VERSION: 1
 };
 
 // URL base dell’API TheMealDB utilizzata per cercare e scaricare ricette
 const API_BASE = "https://www.themealdb.com/api/json/v1/1/";
 
+// Ricerca full-text locale sulle ricette in cache e sulle ricette personali:
+// - FIELD_WEIGHTS: quanto conta un termine trovato in ciascun campo della ricetta
+// - MIN_PARTIAL_LENGTH: lunghezza minima di un termine per accettare corrispondenze parziali
+// - PREFIX_FACTOR / INFIX_FACTOR: peso di una corrispondenza per prefisso o interna alla parola
+// - STOPWORDS: parole troppo comuni per essere indicizzate (inglese e italiano)
+const LOCAL_SEARCH = {
+  FIELD_WEIGHTS: { name: 5, category: 3, area: 3, tags: 2, ingredients: 2, instructions: 1 },
+  MIN_PARTIAL_LENGTH: 3,
+  PREFIX_FACTOR: 0.6,
+  INFIX_FACTOR: 0.3,
+  STOPWORDS: new Set([
+    ..."the and with for into from then until or of to in on".split(" "),
+    ..."di da con per il la le gli del della".split(" ")
+  ])
+};
+
+// Parametri del client TheMealDB:
+// - TIMEOUT: tempo massimo per singola richiesta
+// - RETRIES: tentativi aggiuntivi su errori di rete, timeout e risposte 5xx
+// - BACKOFF_BASE: attesa prima del primo nuovo tentativo, raddoppiata a ogni tentativo successivo
+const API_CLIENT = {
+  TIMEOUT: 8000,
+  RETRIES: 2,
+  BACKOFF_BASE: 500
+};
+
+// Campo del form di ricerca letto da ogni tipo di ricerca (parametro "q" nell’URL);
+// i filtri combinati usano invece un parametro per ogni campo
+const SEARCH_INPUTS = {
+  name: "searchByName",
+  ingredient: "searchByIngredient",
+  letter: "searchByLetter",
+  local: "searchLocal"
+};
+const SEARCH_FILTER_INPUTS = {
+  category: "filterCategory",
+  area: "filterArea",
+  ingredient: "filterIngredient"
+};
+
+// Paginazione dei risultati di ricerca:
+// - PAGE_SIZE: ricette mostrate per pagina (“Carica altre”)
+// - DETAIL_CONCURRENCY: massimo di richieste lookup.php contemporanee per i dettagli
+// - HISTORY_SIZE: ricerche recenti tenute in memoria per ripristinarle con avanti/indietro
+const SEARCH_PAGING = {
+  PAGE_SIZE: 12,
+  DETAIL_CONCURRENCY: 4,
+  HISTORY_SIZE: 10
+};
+
+// Politica della cache ricette (pgrc_meals):
+// - TTL: dopo quanto una ricetta è “vecchia” e viene riscaricata in background al primo utilizzo
+// - MAX_ENTRIES: numero massimo di ricette in cache; oltre, si eliminano le meno usate di recente
+// Le ricette presenti in un ricettario o in una recensione non vengono mai eliminate.
+const MEAL_CACHE = {
+  TTL: 3 * 24 * 60 * 60 * 1000,
+  MAX_ENTRIES: 200
+};
+
+// Ricette personali:
+// - ID_PREFIX: prefisso degli id, distinto dagli id numerici di TheMealDB
+// - THUMBNAIL_MAX_SIZE: lato massimo (px) delle immagini caricate da file, ridimensionate prima del salvataggio
+// - THUMBNAIL_MAX_BYTES: dimensione massima di un’immagine che non è stato possibile ridimensionare
+const PERSONAL_RECIPES = {
+  ID_PREFIX: "personal_",
+  THUMBNAIL_MAX_SIZE: 800,
+  THUMBNAIL_MAX_BYTES: 1024 * 1024
+};
+
+// Unità di misura riconosciute nelle quantità degli ingredienti (vedi parseMeasure):
+// - dimension: grandezza misurata; si sommano solo quantità della stessa dimensione (g + kg, tbsp + tsp)
+// - factor: valore dell’unità espresso nell’unità base della dimensione (g per la massa, ml per il volume)
+// - system: sistema di misura ("metric" o "imperial"); cucchiai e cucchiaini (null) valgono per entrambi
+// - aliases: grafie accettate nel testo libero di TheMealDB e delle ricette personali (minuscole)
+const MEASURE_UNITS = {
+  g: {
+    dimension: "mass",
+    factor: 1,
+    system: "metric",
+    aliases: ["g", "gr", "grs", "gram", "grams", "gramme", "grammes", "grammi"]
+  },
+  kg: {
+    dimension: "mass",
+    factor: 1000,
+    system: "metric",
+    aliases: ["kg", "kgs", "kilo", "kilos", "kilogram", "kilograms"]
+  },
+  oz: { dimension: "mass", factor: 28.35, system: "imperial", aliases: ["oz", "ounce", "ounces"] },
+  lb: {
+    dimension: "mass",
+    factor: 453.6,
+    system: "imperial",
+    aliases: ["lb", "lbs", "pound", "pounds"]
+  },
+  ml: {
+    dimension: "volume",
+    factor: 1,
+    system: "metric",
+    aliases: ["ml", "mls", "millilitre", "millilitres", "milliliter", "milliliters"]
+  },
+  cl: { dimension: "volume", factor: 10, system: "metric", aliases: ["cl", "centilitre"] },
+  l: {
+    dimension: "volume",
+    factor: 1000,
+    system: "metric",
+    aliases: ["l", "litre", "litres", "liter", "liters", "litro", "litri"]
+  },
+  tsp: {
+    dimension: "volume",
+    factor: 5,
+    system: null,
+    aliases: ["tsp", "tsps", "tspn", "teaspoon", "teaspoons"]
+  },
+  tbsp: {
+    dimension: "volume",
+    factor: 15,
+    system: null,
+    aliases: ["tbsp", "tbsps", "tbs", "tbls", "tblsp", "tablespoon", "tablespoons"]
+  },
+  "fl oz": {
+    dimension: "volume",
+    factor: 29.57,
+    system: "imperial",
+    aliases: ["fl oz", "floz", "fluid ounce", "fluid ounces"]
+  },
+  cup: { dimension: "volume", factor: 240, system: "imperial", aliases: ["cup", "cups"] },
+  pint: {
+    dimension: "volume",
+    factor: 473,
+    system: "imperial",
+    aliases: ["pint", "pints", "pt"]
+  }
+};
+
+// Unità in cui si convertono le quantità per ogni sistema di misura, dalla più piccola alla più grande
+const MEASURE_SYSTEMS = {
+  metric: { mass: ["g", "kg"], volume: ["ml", "l"] },
+  imperial: { mass: ["oz", "lb"], volume: ["tsp", "tbsp", "fl oz", "cup", "pint"] }
+};
+
+// Frazioni Unicode usate a volte nelle quantità ("½ cup", "1¼ kg")
+const MEASURE_FRACTIONS = {
+  "½": 1 / 2,
+  "⅓": 1 / 3,
+  "⅔": 2 / 3,
+  "¼": 1 / 4,
+  "¾": 3 / 4,
+  "⅛": 1 / 8
+};
+
+// Porzioni delle ricette: TheMealDB non le indica, assumiamo (BASE) piatti per 4 persone.
+// MAX limita i selettori delle porzioni (lista della spesa e dettaglio ricetta).
+const RECIPE_SERVINGS = {
+  BASE: 4,
+  MAX: 20
+};
+
+// Ricette mostrate nella sezione “Le più amate” della home
+const HOME_MOST_LOVED_SIZE = 6;
+
+// Raccomandazioni della home (vedi buildTasteProfile e scoreRecommendation):
+// - RAIL_SIZE: ricette mostrate in ogni rail (“Per te”, “Da riprovare”, “Esplora una nuova cucina”)
+// - WEIGHTS: peso di ogni segnale nel punteggio di una ricetta candidata
+// - LOVED_TASTE: gusto minimo perché una preparazione conti come “piaciuta”
+// - RETRY_AFTER_DAYS: giorni dall’ultima preparazione dopo cui una ricetta piaciuta torna da riprovare
+// - FETCH_PER_SIGNAL: nuove ricette scaricate da TheMealDB per ogni segnale dominante del profilo
+// - FAVORITE_TERMS: termini dei “piatti preferiti” considerati (ognuno è una ricerca per nome)
+const RECOMMENDATIONS = {
+  RAIL_SIZE: 6,
+  WEIGHTS: { favorites: 3, category: 2, area: 2, ingredient: 1 },
+  LOVED_TASTE: 4,
+  RETRY_AFTER_DAYS: 30,
+  FETCH_PER_SIGNAL: 4,
+  FAVORITE_TERMS: 3
+};
+
+// Modalità cucina (vedi splitInstructionSteps e detectStepTimers):
+// - TIMER_UNITS: unità di tempo riconosciute nei passaggi, in inglese (TheMealDB) e in italiano
+//   (ricette personali), con la durata in secondi; article indica se l’unità vale anche con un
+//   articolo al posto del numero ("an hour", "un'ora"): non per i secondi, perché "a second layer"
+//   o "un secondo strato" non sono durate
+// - SWIPE_THRESHOLD: spostamento orizzontale minimo (px) perché uno swipe cambi passo
+const COOKING_MODE = {
+  TIMER_UNITS: [
+    { pattern: "hours?|hrs?|ore|ora", seconds: 60 * 60, article: true },
+    { pattern: "minutes?|mins?|minut[io]", seconds: 60, article: true },
+    { pattern: "seconds?|secs?|second[io]", seconds: 1, article: false }
+  ],
+  SWIPE_THRESHOLD: 50
+};
+
+// Dispensa e ricerca “Cosa posso cucinare?” (vedi getPantryKey e matchMealWithPantry):
+// - SYNONYMS: nomi diversi dello stesso ingrediente, già normalizzati e al singolare;
+//   il primo di ogni gruppo è quello a cui vengono ricondotti gli altri
+// - MODIFIERS / CUTS: parole che un ingrediente della ricetta può avere in più rispetto a quello
+//   in dispensa (vedi isIngredientCovered)
+// - STAPLES: ingredienti considerati sempre disponibili anche se non sono in dispensa
+// - SEARCH_INGREDIENTS: ingredienti della dispensa usati per cercare nuove ricette su TheMealDB
+// - FETCH_LIMIT: ricette scaricate al massimo per ogni ricerca (oltre a quelle già in cache)
+// - RESULTS: ricette mostrate nei risultati
+const PANTRY = {
+  SYNONYMS: [
+    ["onion", "red onion", "white onion", "yellow onion", "brown onion"],
+    ["spring onion", "scallion", "green onion"],
+    ["coriander", "cilantro", "coriander leaf"],
+    ["aubergine", "eggplant"],
+    ["courgette", "zucchini"],
+    ["prawn", "shrimp", "king prawn"],
+    ["minced beef", "ground beef", "beef mince"],
+    ["chickpea", "garbanzo bean"],
+    ["plain flour", "all purpose flour", "flour"],
+    ["caster sugar", "superfine sugar"],
+    ["icing sugar", "powdered sugar", "confectioner sugar"],
+    ["double cream", "heavy cream"],
+    ["single cream", "light cream"],
+    ["rocket", "arugula"],
+    ["beetroot", "beet"],
+    ["chilli", "chili", "chile", "chilly"],
+    ["tomato puree", "tomato paste"],
+    ["bicarbonate of soda", "baking soda"],
+    ["cornflour", "cornstarch"],
+    ["sweetcorn", "corn"],
+    ["bell pepper", "capsicum", "red pepper", "green pepper", "yellow pepper"]
+  ],
+  // Parole descrittive che non cambiano l’ingrediente: "egg" in dispensa copre "large eggs",
+  // mentre "chicken" non copre "chicken stock" né "pepper" copre "bell pepper". Niente colori:
+  // "white wine" non è "wine" qualsiasi (le varianti equivalenti stanno in SYNONYMS)
+  MODIFIERS: [
+    ..."fresh ripe whole large medium small organic free range".split(" "),
+    ..."boneless skinless unsalted extra virgin".split(" ")
+  ],
+  // Tagli ammessi in fondo al nome: "chicken" in dispensa copre "chicken breast"
+  CUTS: ["breast", "thigh", "drumstick", "wing", "leg", "fillet"],
+  STAPLES: ["water"],
+  SEARCH_INGREDIENTS: 5,
+  FETCH_LIMIT: 24,
+  RESULTS: 12
+};
+
+// Pasti del planner settimanale, nell’ordine in cui compaiono nella griglia
+// (le etichette sono nei cataloghi delle lingue, chiavi "planner.slots.<pasto>")
+const PLANNER_SLOTS = ["breakfast", "lunch", "dinner"];
+
+// Lingue dell’interfaccia (vedi t() e setLocale):
+// - tag: lingua BCP 47 passata a Intl per date, numeri e plurali
+// - label: nome della lingua nel selettore del profilo, scritto nella lingua stessa
+// I testi di ogni lingua sono nel catalogo JSON "<codice>.json" dentro LOCALE_CATALOGUES_URL.
+const LOCALES = {
+  it: { tag: "it-IT", label: "Italiano" },
+  en: { tag: "en-GB", label: "English" }
+};
+
+// Lingua dei testi originali: usata se quella del browser non è disponibile
+// e per le chiavi che mancano nel catalogo della lingua attiva
+const DEFAULT_LOCALE = "it";
+
+// Cartella dei cataloghi delle lingue, relativa a src/html/index.html
+const LOCALE_CATALOGUES_URL = "../assets/json/i18n/";
+
+// Le liste categorie/aree cambiano raramente: le riscarichiamo al massimo una volta a settimana
+const API_LISTS_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Ritardo prima di mostrare lo spinner di caricamento di una vista: i frammenti già in cache
+// arrivano subito e non devono far “lampeggiare” la pagina
+const ROUTE_LOADING_DELAY = 150;
+
+// Percorso del service worker, relativo a src/html/index.html: sta in src/ per coprire tutta l’app
+const SERVICE_WORKER_URL = "../sw.js";
+
+// Parametri per l’hashing delle password (PBKDF2 via Web Crypto):
+// - ogni utente ha un salt casuale, salvato insieme all’hash e al numero di iterazioni
+// - salvare le iterazioni nel record permette di alzarle in futuro senza invalidare gli account
+const PASSWORD_HASH = {
+  ALGORITHM: "PBKDF2-SHA256",
+  ITERATIONS: 210000,
+  SALT_BYTES: 16,
+  KEY_BITS: 256
+};
+
+// Lunghezza minima richiesta per le password (registrazione e cambio password)
+const PASSWORD_MIN_LENGTH = 6;
+
+// Durate della sessione utente (in millisecondi):
+// - REMEMBER_TTL: sessione “ricordami”, sopravvive alla chiusura del browser
+// - DEFAULT_TTL: sessione normale, legata alla scheda (sessionStorage)
+// - ACTIVITY_THROTTLE: ogni quanto al massimo aggiorniamo l’ultimo accesso
+// - EXPIRY_CHECK_INTERVAL: controllo periodico di scadenza/inattività
+const SESSION_OPTIONS = {
+  REMEMBER_TTL: 30 * 24 * 60 * 60 * 1000,
+  DEFAULT_TTL: 12 * 60 * 60 * 1000,
+  ACTIVITY_THROTTLE: 30 * 1000,
+  EXPIRY_CHECK_INTERVAL: 60 * 1000
+};
+
 // Mappa delle route logiche della SPA:
-// - ogni chiave è un hash (es. "#/home")
+// - ogni chiave è un pattern di hash (es. "#/home"); i segmenti ":nome" sono parametri
+//   (es. "#/recipe/:id" corrisponde a "#/recipe/52772" con params.id = "52772")
+// - la query string dopo "?" viene letta a parte (es. "#/search?type=ingredient&q=garlic")
 // - template: frammento HTML da caricare
-// - onLoad: funzione JS che inizializza gli handler dopo che la vista è stata iniettata
+// - onLoad: funzione JS che inizializza gli handler dopo che la vista è stata iniettata;
+//   riceve la route corrente { path, params, query, signal } (vedi parseRoute).
+//   signal viene annullato quando si lascia la vista: dopo ogni await la vista deve
+//   controllare signal.aborted e non toccare più il DOM (che ormai appartiene a un’altra vista)
+// - onUnload: facoltativa, chiamata quando si lascia la vista (per timer, listener globali, ecc.)
 // - auth: se true la route è accessibile solo da utente loggato
 const ROUTES = {
   "#/home": { template: "./home.html", onLoad: initHomeView },
@@ -24,29 +464,95 @@ const ROUTES = {
   "#/search": { template: "./search.html", onLoad: initSearchView },
   "#/cookbook": { template: "./cookbook.html", onLoad: initCookbookView, auth: true },
   "#/reviews": { template: "./reviews.html", onLoad: initReviewsView, auth: true },
-  "#/recipe": { template: "./recipe-detail.html", onLoad: initRecipeDetailView }
+  "#/shopping": { template: "./shopping.html", onLoad: initShoppingView, auth: true },
+  "#/planner": { template: "./planner.html", onLoad: initPlannerView, auth: true },
+  "#/pantry": { template: "./pantry.html", onLoad: initPantryView, auth: true },
+  // Le route letterali vanno prima dei pattern che le includerebbero ("new" non è un id)
+  "#/recipe/new": { template: "./recipe-form.html", onLoad: initRecipeFormView, auth: true },
+  "#/recipe/:id/edit": { template: "./recipe-form.html", onLoad: initRecipeFormView, auth: true },
+  "#/recipe/:id/cook": {
+    template: "./cooking.html",
+    onLoad: initCookingView,
+    onUnload: leaveCookingView
+  },
+  "#/recipe/:id": { template: "./recipe-detail.html", onLoad: initRecipeDetailView }
 };
 
 // Stato globale dell’applicazione:
 // - fragmentsCache: cache dei frammenti HTML già scaricati via fetch
-// - searchResults: ultimi risultati della ricerca ricette
+// - searchResults: ultimi risultati della ricerca ricette (vedi createSearchResults)
+// - searchHistory: risultati delle ricerche recenti, indicizzati per hash della ricerca
 // - activeRoute: hash corrente (utile per gestione nav attiva)
+// - currentView: vista montata { route, config, controller, visit } (vedi handleRouteChange)
+// - scrollPositions: posizione di scroll di ogni voce della cronologia, per indietro/avanti
+// - flashMessage: messaggio da mostrare nella prossima vista (es. sessione scaduta)
+// - searchIndex: indice invertito della cache ricette (costruito alla prima ricerca locale)
+// - searchController: AbortController della ricerca in corso (annullata se ne parte un’altra)
+// - apiInFlight: richieste TheMealDB in corso, condivise tra chiamanti dello stesso endpoint
+// - cookingSession: timer, wake lock e listener della modalità cucina aperta (vedi initCookingView)
+// - locale: lingua attiva dell’interfaccia (chiave di LOCALES)
+// - catalogues: cataloghi delle lingue già scaricati, indicizzati per codice lingua
 const appState = {
   fragmentsCache: {},
-  searchResults: [],
-  activeRoute: "#/home"
+  searchResults: createSearchResults(),
+  searchHistory: new Map(),
+  activeRoute: "#/home",
+  currentView: null,
+  scrollPositions: new Map(),
+  flashMessage: null,
+  searchIndex: null,
+  searchController: null,
+  apiInFlight: new Map(),
+  cookingSession: null,
+  locale: DEFAULT_LOCALE,
+  catalogues: {}
+};
+
+// Stato del livello di persistenza:
+// - adapter: backend attivo (IndexedDB o, in fallback, localStorage)
+// - data: copia in memoria di tutte le chiavi, così le letture restano sincrone
+// - writeQueue: catena di promise che serializza le scritture verso l’adapter
+// - channel: BroadcastChannel per la sincronizzazione tra schede
+const storageState = {
+  adapter: null,
+  data: new Map(),
+  writeQueue: Promise.resolve(),
+  channel: null
 };
 
 // Appena il DOM è pronto, parte l’inizializzazione della SPA
 document.addEventListener("DOMContentLoaded", initApp);
 
 async function initApp() {
-  // Inizializza le strutture in localStorage, se non presenti
-  initStorage();
+  // Apre il backend di persistenza (IndexedDB o localStorage) e inizializza le strutture base
+  await initStorage();
+  // Carica i testi nella lingua dell’utente (o del browser) prima di mostrare qualsiasi vista
+  await setLocale(resolveLocale(getCurrentUser()));
+  // Senza il catalogo di DEFAULT_LOCALE, t() mostrerebbe le chiavi al posto dei testi
+  if (!appState.catalogues[DEFAULT_LOCALE]) {
+    renderCatalogueError();
+    return;
+  }
+  // Porta i dati salvati all’ultima versione dello schema: se fallisce, non avviamo il router
+  try {
+    await runSchemaMigrations();
+  } catch (error) {
+    console.error("Migrazione dei dati fallita", error);
+    renderMigrationError(error);
+    return;
+  }
+  // Registra il service worker (app shell e dati API disponibili offline)
+  registerServiceWorker();
+  // Mostra/nasconde l’indicatore “Offline” nella navbar
+  setupOfflineIndicator();
   // Imposta gli eventi per il link di login/logout nella navbar
   setupNavAuthEvents();
+  // Traccia l’attività dell’utente (timeout di inattività) e la scadenza della sessione
+  setupSessionWatchers();
   // Precarica alcune ricette “di esempio” per popolare subito cache e home
   await preloadFeaturedMeals();
+  // Lo scroll viene ripristinato dal router quando la vista è pronta, non dal browser
+  history.scrollRestoration = "manual";
   // Ascolta i cambi di hash nell’URL (navigazione SPA)
   window.addEventListener("hashchange", handleRouteChange);
   // Gestisce la prima route (es. quando apro la pagina su #/search, #/home, ecc.)
@@ -66,57 +572,167 @@ async function handleRouteChange() {
     hash = "#/home";
   }
 
-  // routeKey: chiave con cui guardiamo nella mappa ROUTES
-  // dynamicParam: parametro dinamico (es. id ricetta) per route come "#/recipe/<id>"
-  let routeKey = hash;
-  let dynamicParam = null;
+  // Percorso, parametri e query string dell’hash corrente (null se nessuna route corrisponde)
+  const route = parseRoute(hash);
+
+  // Sessione scaduta (per durata o inattività) → torniamo al login con un avviso
+  if (expireSessionIfNeeded()) {
+    appState.flashMessage = t("auth.sessionExpired");
+    if (route?.pattern !== "#/login") {
+      redirectToLogin(hash);
+      return;
+    }
+  }
+  touchSession();
 
-  // Gestione speciale per route dinamica delle ricette:
-  // - "#/recipe/52772" diventa:
-  //   - routeKey = "#/recipe"
-  //   - dynamicParam = "52772"
-  if (hash.startsWith("#/recipe/")) {
-    routeKey = "#/recipe";
-    dynamicParam = hash.split("/")[2];
+  const routeConfig = route ? ROUTES[route.pattern] : null;
+  // Se la route richiede autenticazione ma non c’è utente loggato → login, poi si torna qui
+  if (routeConfig?.auth && !getCurrentUser()) {
+    redirectToLogin(hash);
+    return;
   }
 
-  // Cerchiamo la configurazione della route
-  const routeConfig = ROUTES[routeKey];
-  if (!routeConfig) {
+  // La vista precedente viene smontata: le sue operazioni asincrone ancora in corso
+  // vengono annullate e non potranno più scrivere nel DOM della nuova vista
+  unmountCurrentView();
+  if (!route) {
     // Route non definita → 404
     renderNotFound();
     return;
   }
+  const controller = new AbortController();
+  const { signal } = controller;
+  const visit = getHistoryVisit();
+  route.signal = signal;
+  appState.currentView = { route, config: routeConfig, controller, visit };
 
-  // Se la route richiede autenticazione ma non c’è utente loggato → redirect a login
-  if (routeConfig.auth && !getCurrentUser()) {
-    window.location.hash = "#/login";
-    return;
+  // Login, logout o una scelta nel profilo possono cambiare la lingua: la applichiamo prima del render
+  const locale = resolveLocale(getCurrentUser());
+  if (locale !== appState.locale) {
+    await setLocale(locale);
+    if (signal.aborted) return;
   }
 
   // Aggiorniamo lo stato della route attiva
   appState.activeRoute = hash;
+  const appContainer = document.getElementById("app");
+  // Stato di caricamento: aria-busy per tutta la durata, spinner solo se il frammento tarda
+  appContainer.setAttribute("aria-busy", "true");
+  const loadingTimer = setTimeout(() => renderLoadingState(), ROUTE_LOADING_DELAY);
   try {
     // Carichiamo il frammento HTML associato alla route
     const fragment = await loadFragment(routeConfig.template);
-    const appContainer = document.getElementById("app");
-    // Iniettiamo il markup nella SPA
-    appContainer.innerHTML = fragment;
+    clearTimeout(loadingTimer);
+    // Nel frattempo l’utente è già passato a un’altra route: non iniettiamo nulla
+    if (signal.aborted) return;
+    // Iniettiamo il markup nella SPA (i frammenti sono file dell’app: markup fidato)
+    appContainer.innerHTML = trustedHtml(fragment);
+    // Testi statici del frammento nella lingua attiva
+    translateElement(appContainer);
 
     // Se è definita una funzione di inizializzazione per la vista, la invochiamo
     if (typeof routeConfig.onLoad === "function") {
-      await routeConfig.onLoad(dynamicParam);
+      await routeConfig.onLoad(route);
     }
+    if (signal.aborted) return;
 
     // Aggiorniamo la navbar per evidenziare il link corrispondente alla route
     updateActiveNav(hash);
     // Aggiorniamo il link Login/Logout in base allo stato utente corrente
     updateNavAuthState();
+    // Con indietro/avanti torniamo al punto in cui si era, altrimenti si riparte dall’alto
+    window.scrollTo(0, visit.revisit ? (appState.scrollPositions.get(visit.id) ?? 0) : 0);
   } catch (error) {
+    // Errori dovuti all’annullamento della vista non sono errori da mostrare
+    if (signal.aborted) return;
     console.error("Errore durante il rendering della route", error);
     // In caso di errori imprevisti → messaggio di errore generico
     renderRouteError();
+  } finally {
+    clearTimeout(loadingTimer);
+    if (!signal.aborted) {
+      appContainer.removeAttribute("aria-busy");
+    }
+  }
+}
+
+// Smonta la vista attiva: ne salva lo scroll, annulla il suo signal e chiama onUnload
+function unmountCurrentView() {
+  const view = appState.currentView;
+  if (!view) return;
+  appState.currentView = null;
+  appState.scrollPositions.set(view.visit.id, window.scrollY);
+  view.controller.abort();
+  document.getElementById("app").removeAttribute("aria-busy");
+  try {
+    view.config.onUnload?.(view.route);
+  } catch (error) {
+    console.error("Errore durante la chiusura della vista", error);
+  }
+}
+
+// Identifica la voce corrente della cronologia tramite un id salvato in history.state:
+// se l’id c’è già stiamo tornando a una pagina visitata (indietro/avanti), altrimenti è nuova
+function getHistoryVisit() {
+  const existing = history.state?.ccVisitId;
+  if (existing) {
+    return { id: existing, revisit: true };
+  }
+  const id = generateId("visit");
+  history.replaceState({ ...history.state, ccVisitId: id }, "");
+  return { id, revisit: false };
+}
+
+// Scompone un hash nelle sue parti e cerca la route corrispondente:
+// "#/recipe/52772?x=1" → { pattern: "#/recipe/:id", path: "#/recipe/52772", params: { id: "52772" }, query: { x: "1" } }
+function parseRoute(hash) {
+  const separator = hash.indexOf("?");
+  const path = separator === -1 ? hash : hash.slice(0, separator);
+  const query = Object.fromEntries(
+    new URLSearchParams(separator === -1 ? "" : hash.slice(separator + 1))
+  );
+  const segments = path.split("/");
+  for (const pattern of Object.keys(ROUTES)) {
+    const patternSegments = pattern.split("/");
+    if (patternSegments.length !== segments.length) continue;
+    const params = {};
+    const matches = patternSegments.every((segment, i) => {
+      if (!segment.startsWith(":")) return segment === segments[i];
+      params[segment.slice(1)] = safeDecodeURIComponent(segments[i]);
+      return Boolean(params[segment.slice(1)]);
+    });
+    if (matches) {
+      return { pattern, path, params, query };
+    }
   }
+  return null;
+}
+
+// Costruisce un hash con query string, tralasciando i parametri vuoti:
+// buildRouteHash("#/search", { type: "name", q: "curry" }) → "#/search?type=name&q=curry"
+function buildRouteHash(path, query = {}) {
+  const params = new URLSearchParams(
+    Object.entries(query).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+  );
+  const search = params.toString();
+  return search ? `${path}?${search}` : path;
+}
+
+// Manda al login ricordando dove tornare dopo l’accesso (parametro "next")
+function redirectToLogin(returnTo = window.location.hash) {
+  const next = getSafeRedirect(returnTo, null);
+  window.location.hash = buildRouteHash("#/login", { next });
+}
+
+// Destinazione dopo login/registrazione: accettiamo solo hash interni alla SPA
+// (niente URL esterni) e mai di nuovo le pagine di accesso
+function getSafeRedirect(target, fallback = "#/home") {
+  if (typeof target !== "string" || !target.startsWith("#/")) return fallback;
+  const route = parseRoute(target);
+  if (!route || route.pattern === "#/login" || route.pattern === "#/register") return fallback;
+  return target;
 }
 
 // Carica e cache-izza un frammento HTML (home.html, search.html, ecc.)
@@ -140,23 +756,72 @@ async function loadFragment(path) {
 // Render della pagina 404 (route non esistente)
 function renderNotFound() {
   const appContainer = document.getElementById("app");
-  appContainer.innerHTML = `
-        <section class="text-center py-5">
-            <h1 class="display-6">Pagina non trovata</h1>
-            <p class="text-muted">Il percorso richiesto non esiste. Torna alla <a href="#/home">home</a>.</p>
-        </section>
-    `;
+  appContainer.innerHTML = html`
+    <section class="text-center py-5">
+      <h1 class="display-6">${t("errors.notFoundTitle")}</h1>
+      <p class="text-muted">
+        ${t("errors.notFoundText")} <a href="#/home">${t("errors.backHome")}</a>.
+      </p>
+    </section>
+  `;
+}
+
+// Spinner mostrato mentre il frammento di una vista viene scaricato
+function renderLoadingState() {
+  const appContainer = document.getElementById("app");
+  appContainer.innerHTML = html`
+    <section class="text-center py-5">
+      <div class="spinner-border text-accent" role="status">
+        <span class="visually-hidden">${t("common.loading")}</span>
+      </div>
+    </section>
+  `;
 }
 
 // Render di una pagina di errore generico (problema durante il caricamento di una vista)
 function renderRouteError() {
   const appContainer = document.getElementById("app");
-  appContainer.innerHTML = `
-        <section class="text-center py-5">
-            <h1 class="display-6">Errore imprevisto</h1>
-            <p class="text-muted">Si è verificato un problema nel caricamento della vista. Riprova tra qualche istante.</p>
-        </section>
-    `;
+  appContainer.innerHTML = html`
+    <section class="text-center py-5">
+      <h1 class="display-6">${t("errors.routeTitle")}</h1>
+      <p class="text-muted">${t("errors.routeText")}</p>
+    </section>
+  `;
+}
+
+// Render della pagina di errore mostrata quando una migrazione dei dati fallisce all’avvio
+function renderMigrationError(error) {
+  const appContainer = document.getElementById("app");
+  appContainer.innerHTML = html`
+    <section class="text-center py-5">
+      <h1 class="display-6">${t("errors.migrationTitle")}</h1>
+      <p class="text-muted">${t("errors.migrationText")}</p>
+      <p class="small text-danger" id="migrationErrorDetail"></p>
+      <button class="btn btn-primary" id="migrationRetryBtn">${t("common.retry")}</button>
+    </section>
+  `;
+  document.getElementById("migrationErrorDetail").textContent = error.message;
+  document.getElementById("migrationRetryBtn").addEventListener("click", () => {
+    window.location.reload();
+  });
+}
+
+// Render della pagina di errore mostrata quando il catalogo di DEFAULT_LOCALE non si carica
+// all’avvio: i testi sono scritti qui perché senza catalogo t() non ha traduzioni
+function renderCatalogueError() {
+  const appContainer = document.getElementById("app");
+  appContainer.innerHTML = html`
+    <section class="text-center py-5">
+      <h1 class="display-6">Impossibile avviare l’applicazione</h1>
+      <p class="text-muted">
+        Non è stato possibile caricare i testi dell’interfaccia. Controlla la connessione e riprova.
+      </p>
+      <button class="btn btn-primary" id="catalogueRetryBtn">Riprova</button>
+    </section>
+  `;
+  document.getElementById("catalogueRetryBtn").addEventListener("click", () => {
+    window.location.reload();
+  });
 }
 
 // Gestisce la classe "active" sui link della navbar in base alla route corrente
@@ -180,191 +845,1074 @@ function updateActiveNav(targetHash) {
   });
 }
 
+// --------------------------
+// Lingue e traduzioni
+// --------------------------
+
+// Lingua dell’interfaccia per un utente: quella scelta nel profilo, altrimenti la prima
+// lingua preferita del browser tra quelle disponibili ("en-US" → "en"), altrimenti DEFAULT_LOCALE
+function resolveLocale(user) {
+  if (user?.language && LOCALES[user.language]) return user.language;
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  const match = preferred
+    .map(
+      tag =>
+        String(tag ?? "")
+          .toLowerCase()
+          .split("-")[0]
+    )
+    .find(code => LOCALES[code]);
+  return match ?? DEFAULT_LOCALE;
+}
+
+// Scarica (una sola volta) il catalogo dei testi di una lingua; null se non è raggiungibile
+async function loadCatalogue(locale) {
+  if (appState.catalogues[locale]) return appState.catalogues[locale];
+  try {
+    const response = await fetch(`${LOCALE_CATALOGUES_URL}${locale}.json`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    appState.catalogues[locale] = await response.json();
+    return appState.catalogues[locale];
+  } catch (error) {
+    console.error(`Impossibile caricare il catalogo della lingua "${locale}"`, error);
+    return null;
+  }
+}
+
+// Attiva una lingua: carica il suo catalogo (più quello di DEFAULT_LOCALE per le chiavi mancanti),
+// aggiorna l’attributo lang della pagina e traduce le parti fisse dell’interfaccia (navbar, footer).
+// Se il catalogo non si carica si resta sulla lingua di partenza.
+async function setLocale(locale) {
+  const [catalogue] = await Promise.all([loadCatalogue(locale), loadCatalogue(DEFAULT_LOCALE)]);
+  appState.locale = catalogue ? locale : DEFAULT_LOCALE;
+  document.documentElement.lang = appState.locale;
+  translateElement(document);
+  updateNavAuthState();
+}
+
+// Testo nella lingua attiva per una chiave del catalogo (es. t("common.recipeCount", { count: 3 })):
+// - i segnaposto {nome} vengono sostituiti con params.nome
+// - se la voce è un oggetto di forme plurali ({ one, other }), la forma viene scelta
+//   con Intl.PluralRules in base a params.count ("1 ricetta" / "3 ricette")
+// Le chiavi mancanti ripiegano sul catalogo di DEFAULT_LOCALE, poi sulla chiave stessa.
+function t(key, params = {}) {
+  const lookup = locale =>
+    key.split(".").reduce((node, part) => node?.[part], appState.catalogues[locale]);
+  let entry = lookup(appState.locale) ?? lookup(DEFAULT_LOCALE);
+  if (entry === undefined) {
+    console.warn(`Traduzione mancante: ${key}`);
+    return key;
+  }
+  if (typeof entry === "object") {
+    const form =
+      typeof params.count === "number"
+        ? new Intl.PluralRules(getLocaleTag()).select(params.count)
+        : "other";
+    entry = entry[form] ?? entry.other;
+  }
+  return String(entry).replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder
+  );
+}
+
+// Traduce gli elementi statici marcati nei frammenti HTML (o in tutta la pagina):
+// - data-i18n: chiave del testo dell’elemento
+// - data-i18n-placeholder / data-i18n-aria-label / data-i18n-title: chiave dell’attributo omonimo
+// Senza catalogo resta il testo italiano scritto nei frammenti (all’avvio, se manca quello di
+// DEFAULT_LOCALE, initApp si ferma prima con renderCatalogueError).
+function translateElement(root) {
+  if (!appState.catalogues[appState.locale]) return;
+  root.querySelectorAll("[data-i18n]").forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  ["placeholder", "aria-label", "title", "alt"].forEach(attribute => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+      element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+    });
+  });
+}
+
+// Tag BCP 47 della lingua attiva, per le API Intl (date, numeri)
+function getLocaleTag() {
+  return LOCALES[appState.locale].tag;
+}
+
+// Data formattata con Intl nella lingua attiva. Accetta un Date, un timestamp o una chiave
+// "AAAA-MM-GG" (come dataPreparazione), letta come data locale: new Date() la leggerebbe in UTC
+function formatDate(value, options = { dateStyle: "medium" }) {
+  const date = parseDateKey(value) ?? new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value ?? "");
+  return new Intl.DateTimeFormat(getLocaleTag(), options).format(date);
+}
+
 // --------------------------
 // Storage helpers
 // --------------------------
 
-// Inizializza il localStorage con le chiavi base, se non sono presenti
-function initStorage() {
-  if (!localStorage.getItem(STORAGE_KEYS.MEALS)) {
+// Sceglie il backend di persistenza, carica tutti i dati in memoria e crea le chiavi base mancanti
+async function initStorage() {
+  storageState.adapter = await createStorageAdapter();
+  const data = await storageState.adapter.loadAll();
+  Object.entries(data).forEach(([key, value]) => storageState.data.set(key, value));
+
+  if (!storageState.data.has(STORAGE_KEYS.MEALS)) {
     saveToStorage(STORAGE_KEYS.MEALS, {});
   }
-  if (!localStorage.getItem(STORAGE_KEYS.USERS)) {
+  if (!storageState.data.has(STORAGE_KEYS.USERS)) {
     saveToStorage(STORAGE_KEYS.USERS, []);
   }
-  if (!localStorage.getItem(STORAGE_KEYS.REVIEWS)) {
+  if (!storageState.data.has(STORAGE_KEYS.REVIEWS)) {
     saveToStorage(STORAGE_KEYS.REVIEWS, []);
   }
-  if (!localStorage.getItem(STORAGE_KEYS.CURRENT_USER)) {
-    saveToStorage(STORAGE_KEYS.CURRENT_USER, null);
+  if (!storageState.data.has(STORAGE_KEYS.RECIPES)) {
+    saveToStorage(STORAGE_KEYS.RECIPES, {});
   }
+  migrateLegacyCurrentUser();
+  setupStorageSync();
 }
 
-// Lettura generica da localStorage con gestione degli errori e valore di default
-function loadFromStorage(key, defaultValue) {
+// Le versioni precedenti salvavano in pgrc_currentUser una copia dell’intero utente:
+// la convertiamo in una sessione “ricordami” (stesso comportamento persistente) e la eliminiamo
+function migrateLegacyCurrentUser() {
+  let legacyUser = null;
   try {
-    const raw = localStorage.getItem(key);
-    return raw ? JSON.parse(raw) : defaultValue;
+    legacyUser = JSON.parse(localStorage.getItem(STORAGE_KEYS.LEGACY_CURRENT_USER));
   } catch (error) {
-    console.error("Errore lettura storage", error);
-    return defaultValue;
+    console.error("Errore lettura utente legacy", error);
+  }
+  if (legacyUser?.id && !readSession()) {
+    startSession(legacyUser, { remember: true });
   }
+  localStorage.removeItem(STORAGE_KEYS.LEGACY_CURRENT_USER);
 }
 
-// Scrittura generica in localStorage, serializzando in JSON
-function saveToStorage(key, value) {
-  localStorage.setItem(key, JSON.stringify(value));
+// Lettura generica dalla copia in memoria, con valore di default.
+// Restituiamo un clone: come con JSON.parse, chi legge può modificare il valore senza effetti collaterali
+function loadFromStorage(key, defaultValue) {
+  if (!storageState.data.has(key)) return defaultValue;
+  const value = storageState.data.get(key);
+  return value === null || value === undefined ? defaultValue : structuredClone(value);
 }
 
-// Helpers specifici per utenti
-function getUsers() {
-  return loadFromStorage(STORAGE_KEYS.USERS, []);
+// Scrittura generica: aggiorna subito la memoria e accoda la persistenza sull’adapter.
+// Un errore di scrittura (es. quota esaurita) non interrompe l’app: viene segnalato all’utente.
+// La promise restituita indica se la scrittura è andata a buon fine (true/false).
+function saveToStorage(key, value) {
+  const previous = storageState.data.get(key);
+  const snapshot = structuredClone(value);
+  storageState.data.set(key, snapshot);
+  return enqueueStorageWrite(key, () => storageState.adapter.save(key, snapshot, previous));
 }
 
-function saveUsers(users) {
-  saveToStorage(STORAGE_KEYS.USERS, users);
+// Rimozione di una chiave (memoria + backend)
+function removeFromStorage(key) {
+  storageState.data.delete(key);
+  return enqueueStorageWrite(key, () => storageState.adapter.remove(key));
 }
 
-// Utente attualmente loggato (o null)
-function getCurrentUser() {
-  return loadFromStorage(STORAGE_KEYS.CURRENT_USER, null);
+// Accoda un’operazione sull’adapter: le scritture restano in ordine anche se una fallisce
+function enqueueStorageWrite(key, operation) {
+  const result = storageState.writeQueue
+    .then(operation)
+    .then(() => {
+      storageState.channel?.postMessage({ key });
+      return true;
+    })
+    .catch(error => {
+      handleStorageWriteError(key, error);
+      return false;
+    });
+  storageState.writeQueue = result;
+  return result;
 }
 
-function setCurrentUser(user) {
-  saveToStorage(STORAGE_KEYS.CURRENT_USER, user);
+// Errori di scrittura: la copia in memoria resta valida per questa sessione,
+// ma avvisiamo che i dati potrebbero non sopravvivere a un ricaricamento della pagina
+function handleStorageWriteError(key, error) {
+  console.error(`Errore scrittura storage (${key})`, error);
+  const message =
+    error?.name === "QuotaExceededError" ? t("storage.quotaExceeded") : t("storage.writeFailed");
+  showAppNotice(message);
 }
 
-// Helpers per la cache delle ricette
-function getMealsCache() {
-  return loadFromStorage(STORAGE_KEYS.MEALS, {});
+// Le altre schede ci avvisano quando modificano una chiave: ricarichiamo solo quella dal backend
+function setupStorageSync() {
+  if (typeof BroadcastChannel === "undefined") return;
+  storageState.channel = new BroadcastChannel(STORAGE_SYNC_CHANNEL);
+  storageState.channel.addEventListener("message", async event => {
+    const { key } = event.data ?? {};
+    if (!key) return;
+    const value = await storageState.adapter.load(key);
+    if (value === undefined) {
+      storageState.data.delete(key);
+    } else {
+      storageState.data.set(key, value);
+    }
+    if (key === STORAGE_KEYS.USERS) {
+      updateNavAuthState();
+    }
+  });
 }
 
-function saveMealsCache(cache) {
-  saveToStorage(STORAGE_KEYS.MEALS, cache);
-}
+// --------------------------
+// Migrazioni dello schema
+// --------------------------
 
-// Aggiunge un array di ricette alla cache, indicizzandole per id
-function cacheMeals(meals = []) {
-  const cache = getMealsCache();
-  meals.forEach(meal => {
-    if (meal?.id) {
-      cache[meal.id] = meal;
+// Applica in ordine le migrazioni con versione maggiore di quella salvata.
+// Prima di ogni migrazione salviamo un backup: se la migrazione (o la sua scrittura) fallisce
+// eseguiamo il rollback e rilanciamo l’errore, così initApp può mostrare la vista di errore.
+async function runSchemaMigrations() {
+  // Un backup rimasto da un avvio precedente indica una migrazione interrotta: ripartiamo da lì
+  const interruptedBackup = loadFromStorage(STORAGE_KEYS.MIGRATION_BACKUP, null);
+  if (interruptedBackup) {
+    await writeSchemaData(interruptedBackup, interruptedBackup.version);
+  }
+  const storedVersion = loadFromStorage(STORAGE_KEYS.SCHEMA_VERSION, 0);
+  if (storedVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(t("errors.migrationNewer", { version: storedVersion }));
+  }
+  const pending = SCHEMA_MIGRATIONS.filter(migration => migration.version > storedVersion);
+  for (const migration of pending) {
+    const backup = {
+      version: loadFromStorage(STORAGE_KEYS.SCHEMA_VERSION, 0),
+      ...readSchemaData()
+    };
+    if (!(await saveToStorage(STORAGE_KEYS.MIGRATION_BACKUP, backup))) {
+      throw new Error(t("errors.migrationBackup", { version: migration.version }));
     }
-  });
-  saveMealsCache(cache);
+    try {
+      const migrated = await migration.migrate(structuredClone(backup));
+      const saved = await writeSchemaData(migrated, migration.version);
+      if (!saved) {
+        throw new Error(t("errors.migrationWrite"));
+      }
+    } catch (error) {
+      await rollbackSchemaMigration(migration, backup);
+      const message = t("errors.migrationFailed", {
+        version: migration.version,
+        reason: error.message
+      });
+      throw new Error(message, { cause: error });
+    }
+  }
+  if (pending.length > 0) {
+    await removeFromStorage(STORAGE_KEYS.MIGRATION_BACKUP);
+  }
 }
 
-// Helpers per recensioni
-function getReviews() {
-  return loadFromStorage(STORAGE_KEYS.REVIEWS, []);
+// Collezioni soggette allo schema, lette dalla copia in memoria
+function readSchemaData() {
+  return {
+    meals: getMealsCache(),
+    users: getUsers(),
+    reviews: getReviews(),
+    recipes: getPersonalRecipes()
+  };
 }
 
-function saveReviews(reviews) {
-  saveToStorage(STORAGE_KEYS.REVIEWS, reviews);
+// Scrive collezioni e versione; restituisce true solo se tutte le scritture sono riuscite
+// (le migrazioni che non restituiscono recipes, e i backup salvati prima della 4, non le toccano)
+async function writeSchemaData({ meals, users, reviews, recipes }, version) {
+  const results = await Promise.all([
+    saveToStorage(STORAGE_KEYS.MEALS, meals),
+    saveToStorage(STORAGE_KEYS.USERS, users),
+    saveToStorage(STORAGE_KEYS.REVIEWS, reviews),
+    ...(recipes ? [saveToStorage(STORAGE_KEYS.RECIPES, recipes)] : []),
+    saveToStorage(STORAGE_KEYS.SCHEMA_VERSION, version)
+  ]);
+  return results.every(Boolean);
 }
 
-// Aggiorna o crea un utente nella lista utenti + sincronizza currentUser se serve
-function persistUser(updatedUser) {
-  const users = getUsers();
-  const index = users.findIndex(u => u.id === updatedUser.id);
-  if (index !== -1) {
-    users[index] = updatedUser;
-  } else {
-    users.push(updatedUser);
-  }
-  saveUsers(users);
-  const currentUser = getCurrentUser();
-  if (currentUser && currentUser.id === updatedUser.id) {
-    setCurrentUser(updatedUser);
+// Rollback: usa quello specifico della migrazione se presente, altrimenti ripristina il backup
+async function rollbackSchemaMigration(migration, backup) {
+  try {
+    const restored =
+      typeof migration.rollback === "function" ? await migration.rollback(backup) : backup;
+    await writeSchemaData(restored, backup.version);
+  } catch (error) {
+    console.error(`Rollback della migrazione ${migration.version} fallito`, error);
   }
 }
 
-// Rimuove un utente, le sue recensioni e aggiorna currentUser se necessario
-function removeUser(userId) {
-  const remaining = getUsers().filter(user => user.id !== userId);
-  saveUsers(remaining);
-  const filteredReviews = getReviews().filter(review => review.userId !== userId);
-  saveReviews(filteredReviews);
-  const currentUser = getCurrentUser();
-  if (currentUser && currentUser.id === userId) {
-    setCurrentUser(null);
-  }
+// Le versioni precedenti salvavano nelle ricette i testi italiani "N/D" e "Istruzioni non
+// disponibili" al posto dei valori mancanti: li svuotiamo, le viste mostrano il testo tradotto
+function clearLegacyPlaceholders(meal) {
+  const clear = (value, placeholder) => (value === placeholder ? "" : value);
+  return {
+    ...meal,
+    category: clear(meal.category, "N/D"),
+    area: clear(meal.area, "N/D"),
+    instructions: clear(meal.instructions, "Istruzioni non disponibili")
+  };
 }
 
 // --------------------------
-// API helpers
+// Storage adapters
 // --------------------------
 
-// Wrapper generico per chiamare l’API TheMealDB e gestire errori HTTP
-async function queryApi(endpoint) {
-  const response = await fetch(`${API_BASE}${endpoint}`);
-  if (!response.ok) {
-    throw new Error("Errore di rete con TheMealDB");
+// Ogni adapter espone la stessa interfaccia asincrona:
+// - loadAll(): tutte le chiavi pgrc_* come { chiave: valore }
+// - load(key) / save(key, value, previous) / remove(key)
+
+// Sceglie IndexedDB se disponibile (con migrazione una tantum da localStorage),
+// altrimenti ripiega su localStorage
+async function createStorageAdapter() {
+  if (typeof indexedDB === "undefined") {
+    return createLocalStorageAdapter();
+  }
+  try {
+    const db = await openIndexedDb();
+    const adapter = createIndexedDbAdapter(db);
+    await migrateLocalStorageToIndexedDb(adapter);
+    return adapter;
+  } catch (error) {
+    console.warn("IndexedDB non disponibile, uso localStorage", error);
+    return createLocalStorageAdapter();
   }
-  return response.json();
 }
 
-// Ricerca ricette per nome (search.php?s=)
-async function fetchMealsByName(name) {
-  if (!name?.trim()) return [];
-  const data = await queryApi(`search.php?s=${encodeURIComponent(name.trim())}`);
-  return normalizeMealList(data.meals);
+// Adapter di fallback: una chiave localStorage per collezione, serializzata in JSON
+function createLocalStorageAdapter() {
+  return {
+    name: "localStorage",
+    async loadAll() {
+      const data = {};
+      for (let i = 0; i < localStorage.length; i += 1) {
+        const key = localStorage.key(i);
+        if (!key.startsWith("pgrc_") || WEB_STORAGE_ONLY_KEYS.includes(key)) continue;
+        const value = await this.load(key);
+        if (value !== undefined) data[key] = value;
+      }
+      return data;
+    },
+    async load(key) {
+      try {
+        const raw = localStorage.getItem(key);
+        return raw === null ? undefined : JSON.parse(raw);
+      } catch (error) {
+        console.error("Errore lettura storage", error);
+        return undefined;
+      }
+    },
+    async save(key, value) {
+      localStorage.setItem(key, JSON.stringify(value));
+    },
+    async remove(key) {
+      localStorage.removeItem(key);
+    }
+  };
 }
 
-// Ricerca ricette per iniziale (search.php?f=)
-async function fetchMealsByFirstLetter(letter) {
-  if (!letter?.trim()) return [];
-  const data = await queryApi(`search.php?f=${encodeURIComponent(letter.trim())}`);
-  return normalizeMealList(data.meals);
+// Apre (e alla prima volta crea) il database con un object store per collezione + lo store kv
+function openIndexedDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(IDB_CONFIG.NAME, IDB_CONFIG.VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(STORAGE_COLLECTIONS).forEach(({ store }) => {
+        if (!db.objectStoreNames.contains(store)) {
+          db.createObjectStore(store, { keyPath: "id" });
+        }
+      });
+      if (!db.objectStoreNames.contains(IDB_CONFIG.KV_STORE)) {
+        db.createObjectStore(IDB_CONFIG.KV_STORE);
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Se un’altra scheda deve aggiornare lo schema, chiudiamo la connessione per non bloccarla
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  });
 }
 
-// Ricerca ricette per ingrediente (filter.php?i=)
-// filter.php restituisce meno info → per ognuna facciamo lookup per id per ottenere il dettaglio completo
-async function fetchMealsByIngredient(ingredient) {
-  if (!ingredient?.trim()) return [];
-  const listData = await queryApi(`filter.php?i=${encodeURIComponent(ingredient.trim())}`);
-  const meals = listData.meals ?? [];
-  // Limitiamo il numero di richieste successive per non stressare l’API
-  const limited = meals.slice(0, 12);
-  const detailed = await Promise.all(limited.map(meal => fetchMealById(meal.idMeal)));
-  return detailed.filter(Boolean);
+// Converte una IDBRequest in Promise
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
 }
 
-// Ricerca ricetta singola per id (lookup.php?i=)
-async function fetchMealById(id) {
-  if (!id) return null;
-  const data = await queryApi(`lookup.php?i=${encodeURIComponent(id)}`);
-  const meal = data.meals?.[0];
-  return meal ? normalizeMeal(meal) : null;
+// Promise risolta quando la transazione è stata scritta su disco
+function idbTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error("Transazione annullata"));
+  });
 }
 
-// Normalizza una lista di oggetti "raw" in array di oggetti meal interni
-function normalizeMealList(rawMeals) {
-  if (!rawMeals) return [];
-  return rawMeals.map(normalizeMeal);
+// Record salvati nello store a partire dal valore in memoria di una collezione
+function collectionToRecords(value, shape) {
+  if (!value) return [];
+  return shape === "map" ? Object.values(value) : value;
 }
 
-// Converte un oggetto ricetta della API in un oggetto interno più pulito
-function normalizeMeal(meal) {
-  const ingredients = [];
-  // TheMealDB espone ingredienti come strIngredient1..20 + strMeasure1..20
-  for (let i = 1; i <= 20; i += 1) {
-    const ingredient = meal[`strIngredient${i}`];
-    const measure = meal[`strMeasure${i}`];
-    if (ingredient && ingredient.trim()) {
-      ingredients.push({
-        name: ingredient.trim(),
-        measure: measure?.trim() ?? ""
+// Adapter IndexedDB: le collezioni sono salvate record per record, scrivendo solo le differenze
+function createIndexedDbAdapter(db) {
+  const collectionStores = Object.values(STORAGE_COLLECTIONS).map(({ store }) => store);
+
+  // Legge una collezione dallo store e la riporta alla forma usata in memoria
+  const readCollection = (transaction, { store, shape }) =>
+    idbRequest(transaction.objectStore(store).getAll()).then(records =>
+      shape === "map" ? Object.fromEntries(records.map(record => [record.id, record])) : records
+    );
+
+  return {
+    name: "indexedDB",
+    async loadAll() {
+      const transaction = db.transaction([...collectionStores, IDB_CONFIG.KV_STORE], "readonly");
+      // Tutte le richieste partono prima del primo await, altrimenti la transazione si chiude
+      const collections = Object.entries(STORAGE_COLLECTIONS).map(([key, config]) =>
+        readCollection(transaction, config).then(value => [key, value])
+      );
+      const kvStore = transaction.objectStore(IDB_CONFIG.KV_STORE);
+      const kvKeys = idbRequest(kvStore.getAllKeys());
+      const kvValues = idbRequest(kvStore.getAll());
+      const data = Object.fromEntries(await Promise.all(collections));
+      const [keys, values] = await Promise.all([kvKeys, kvValues]);
+      keys.forEach((key, index) => {
+        data[key] = values[index];
       });
+      return data;
+    },
+    async load(key) {
+      const collection = STORAGE_COLLECTIONS[key];
+      if (collection) {
+        return readCollection(db.transaction(collection.store, "readonly"), collection);
+      }
+      const transaction = db.transaction(IDB_CONFIG.KV_STORE, "readonly");
+      return idbRequest(transaction.objectStore(IDB_CONFIG.KV_STORE).get(key));
+    },
+    async save(key, value, previous) {
+      const collection = STORAGE_COLLECTIONS[key];
+      if (!collection) {
+        const transaction = db.transaction(IDB_CONFIG.KV_STORE, "readwrite");
+        transaction.objectStore(IDB_CONFIG.KV_STORE).put(value, key);
+        return idbTransactionDone(transaction);
+      }
+      // Confrontiamo con il valore precedente: put solo dei record cambiati, delete dei rimossi
+      const previousById = new Map(
+        collectionToRecords(previous, collection.shape).map(record => [
+          record.id,
+          JSON.stringify(record)
+        ])
+      );
+      const transaction = db.transaction(collection.store, "readwrite");
+      const store = transaction.objectStore(collection.store);
+      collectionToRecords(value, collection.shape).forEach(record => {
+        if (previousById.get(record.id) !== JSON.stringify(record)) {
+          store.put(record);
+        }
+        previousById.delete(record.id);
+      });
+      previousById.forEach((_, id) => store.delete(id));
+      return idbTransactionDone(transaction);
+    },
+    async remove(key) {
+      const collection = STORAGE_COLLECTIONS[key];
+      const storeName = collection ? collection.store : IDB_CONFIG.KV_STORE;
+      const transaction = db.transaction(storeName, "readwrite");
+      const store = transaction.objectStore(storeName);
+      if (collection) {
+        store.clear();
+      } else {
+        store.delete(key);
+      }
+      return idbTransactionDone(transaction);
     }
+  };
+}
+
+// Migrazione una tantum: copia le chiavi pgrc_* da localStorage a IndexedDB e poi le rimuove.
+// Finché il flag non è scritto, localStorage resta la fonte autorevole (la migrazione si ripete).
+async function migrateLocalStorageToIndexedDb(adapter) {
+  if (await adapter.load(STORAGE_KEYS.IDB_MIGRATED)) return;
+  const legacyAdapter = createLocalStorageAdapter();
+  const legacyData = await legacyAdapter.loadAll();
+  for (const [key, value] of Object.entries(legacyData)) {
+    await adapter.save(key, value, await adapter.load(key));
   }
+  await adapter.save(STORAGE_KEYS.IDB_MIGRATED, Date.now());
+  Object.keys(legacyData).forEach(key => localStorage.removeItem(key));
+}
 
-  return {
-    id: meal.idMeal,
-    name: meal.strMeal,
-    category: meal.strCategory ?? "N/D",
-    area: meal.strArea ?? "N/D",
-    instructions: meal.strInstructions ?? "Istruzioni non disponibili",
+// Helpers specifici per utenti
+function getUsers() {
+  return loadFromStorage(STORAGE_KEYS.USERS, []);
+}
+
+function saveUsers(users) {
+  saveToStorage(STORAGE_KEYS.USERS, users);
+}
+
+// Utente attualmente loggato (o null): viene sempre risolto “dal vivo” da pgrc_users
+// a partire dall’id in sessione, così non può divergere da modifiche fatte in altre schede
+function getCurrentUser() {
+  const session = getActiveSession();
+  if (!session) return null;
+  return getUsers().find(user => user.id === session.userId) ?? null;
+}
+
+// Helpers per la cache delle ricette
+function getMealsCache() {
+  return loadFromStorage(STORAGE_KEYS.MEALS, {});
+}
+
+function saveMealsCache(cache) {
+  saveToStorage(STORAGE_KEYS.MEALS, cache);
+}
+
+// Metadati delle ricette in cache: fetchedAt (ultimo download) e usedAt (ultimo utilizzo).
+// Le ricette senza metadati (salvate prima di questa politica) risultano vecchie e mai usate.
+function getMealsCacheMeta() {
+  return loadFromStorage(STORAGE_KEYS.MEALS_META, {});
+}
+
+function saveMealsCacheMeta(meta) {
+  saveToStorage(STORAGE_KEYS.MEALS_META, meta);
+}
+
+// Aggiunge un array di ricette alla cache, indicizzandole per id, poi applica il limite di dimensione
+function cacheMeals(meals = []) {
+  const cache = getMealsCache();
+  const meta = getMealsCacheMeta();
+  const now = Date.now();
+  meals.forEach(meal => {
+    if (meal?.id) {
+      cache[meal.id] = meal;
+      meta[meal.id] = { fetchedAt: now, usedAt: now };
+    }
+  });
+  const evicted = evictMealsCache(cache, meta);
+  saveMealsCache(cache);
+  saveMealsCacheMeta(meta);
+  // Teniamo allineato l’indice di ricerca locale (se è già stato costruito)
+  unindexMeals(evicted);
+  indexMeals(meals.filter(meal => cache[meal?.id]));
+}
+
+// Id delle ricette da non eliminare mai: quelle nel ricettario di un utente o recensite
+function getPinnedMealIds() {
+  const pinned = new Set();
+  getUsers().forEach(user => {
+    (user.cookbook ?? []).forEach(entry => pinned.add(String(entry.mealId)));
+    Object.values(user.planner ?? {}).forEach(day => {
+      Object.values(day).forEach(mealId => pinned.add(String(mealId)));
+    });
+  });
+  getReviews().forEach(review => pinned.add(String(review.recipeId)));
+  return pinned;
+}
+
+// Eviction LRU: oltre MAX_ENTRIES elimina le ricette non fissate usate meno di recente.
+// Modifica cache e meta sul posto e restituisce gli id eliminati.
+function evictMealsCache(cache, meta) {
+  const excess = Object.keys(cache).length - MEAL_CACHE.MAX_ENTRIES;
+  if (excess <= 0) return [];
+  const pinned = getPinnedMealIds();
+  const evicted = Object.keys(cache)
+    .filter(id => !pinned.has(id))
+    .sort((a, b) => (meta[a]?.usedAt ?? 0) - (meta[b]?.usedAt ?? 0))
+    .slice(0, excess);
+  evicted.forEach(id => {
+    delete cache[id];
+    delete meta[id];
+  });
+  return evicted;
+}
+
+// Segna delle ricette in cache come appena usate (per l’LRU) e riscarica in background
+// quelle più vecchie del TTL: intanto la vista usa la copia salvata
+function touchCachedMeals(ids = []) {
+  if (ids.length === 0) return;
+  const meta = getMealsCacheMeta();
+  const now = Date.now();
+  const stale = [];
+  ids.forEach(id => {
+    const entry = meta[id] ?? { fetchedAt: 0 };
+    meta[id] = { ...entry, usedAt: now };
+    if (now - entry.fetchedAt > MEAL_CACHE.TTL) {
+      stale.push(id);
+    }
+  });
+  saveMealsCacheMeta(meta);
+  if (navigator.onLine) {
+    stale.forEach(revalidateCachedMeal);
+  }
+}
+
+// Riscarica una ricetta da TheMealDB e aggiorna la cache; gli errori lasciano la copia salvata
+async function revalidateCachedMeal(mealId) {
+  try {
+    const meal = await fetchMealById(mealId);
+    if (meal) {
+      cacheMeals([meal]);
+    }
+  } catch (error) {
+    console.warn(`Aggiornamento della ricetta ${mealId} non riuscito`, error);
+  }
+}
+
+// Svuota la cache ricette mantenendo solo quelle fissate (ricettari e recensioni)
+function clearMealsCache() {
+  const cache = getMealsCache();
+  const meta = getMealsCacheMeta();
+  const pinned = getPinnedMealIds();
+  const removed = Object.keys(cache).filter(id => !pinned.has(id));
+  removed.forEach(id => {
+    delete cache[id];
+    delete meta[id];
+  });
+  saveMealsCache(cache);
+  saveMealsCacheMeta(meta);
+  unindexMeals(removed);
+  return removed.length;
+}
+
+// Statistiche della cache ricette mostrate nel profilo
+function getMealsCacheStats() {
+  const cache = getMealsCache();
+  const pinned = getPinnedMealIds();
+  const ids = Object.keys(cache);
+  return {
+    count: ids.length,
+    pinned: ids.filter(id => pinned.has(id)).length,
+    bytes: new Blob([JSON.stringify(cache)]).size
+  };
+}
+
+// Helpers per le ricette personali (indicizzate per id come la cache ricette)
+function getPersonalRecipes() {
+  return loadFromStorage(STORAGE_KEYS.RECIPES, {});
+}
+
+function savePersonalRecipes(recipes) {
+  saveToStorage(STORAGE_KEYS.RECIPES, recipes);
+}
+
+// Le ricette personali hanno id con prefisso dedicato: non vanno mai cercate su TheMealDB
+function isPersonalRecipeId(id) {
+  return String(id).startsWith(PERSONAL_RECIPES.ID_PREFIX);
+}
+
+// Helpers per recensioni
+function getReviews() {
+  return loadFromStorage(STORAGE_KEYS.REVIEWS, []);
+}
+
+function saveReviews(reviews) {
+  saveToStorage(STORAGE_KEYS.REVIEWS, reviews);
+}
+
+// Aggiorna o crea un utente nella lista utenti + sincronizza currentUser se serve
+function persistUser(updatedUser) {
+  const users = getUsers();
+  const index = users.findIndex(u => u.id === updatedUser.id);
+  if (index !== -1) {
+    users[index] = updatedUser;
+  } else {
+    users.push(updatedUser);
+  }
+  saveUsers(users);
+}
+
+// Rimuove un utente, le sue recensioni e aggiorna currentUser se necessario
+function removeUser(userId) {
+  // Le ricette personali dell’utente vengono eliminate insieme a lui
+  Object.values(getPersonalRecipes())
+    .filter(recipe => recipe.ownerId === userId)
+    .forEach(recipe => deletePersonalRecipe(recipe.id));
+  const remaining = getUsers().filter(user => user.id !== userId);
+  saveUsers(remaining);
+  const filteredReviews = getReviews().filter(review => review.userId !== userId);
+  saveReviews(filteredReviews);
+  if (readSession()?.userId === userId) {
+    endSession();
+  }
+}
+
+// --------------------------
+// Sessione utente
+// --------------------------
+
+// Una sessione contiene solo l’id utente e i metadati temporali:
+// { userId, createdAt, expiresAt, lastActiveAt, idleTimeout, remember }
+// - con “ricordami” vive in localStorage, altrimenti in sessionStorage (scade con la scheda)
+// - idleTimeout (ms, 0 = disattivato) chiude la sessione dopo un periodo di inattività
+function startSession(user, { remember = false, idleTimeout = 0 } = {}) {
+  const now = Date.now();
+  const session = {
+    userId: user.id,
+    createdAt: now,
+    expiresAt: now + (remember ? SESSION_OPTIONS.REMEMBER_TTL : SESSION_OPTIONS.DEFAULT_TTL),
+    lastActiveAt: now,
+    idleTimeout,
+    remember
+  };
+  // Una sola sessione alla volta: puliamo entrambi gli storage prima di scrivere
+  endSession();
+  const storage = remember ? localStorage : sessionStorage;
+  storage.setItem(STORAGE_KEYS.SESSION, JSON.stringify(session));
+  return session;
+}
+
+// Chiude la sessione corrente, ovunque sia salvata
+function endSession() {
+  localStorage.removeItem(STORAGE_KEYS.SESSION);
+  sessionStorage.removeItem(STORAGE_KEYS.SESSION);
+}
+
+// Legge la sessione salvata (valida o meno); la sessione di scheda ha la precedenza
+function readSession() {
+  for (const storage of [sessionStorage, localStorage]) {
+    try {
+      const raw = storage.getItem(STORAGE_KEYS.SESSION);
+      if (raw) return JSON.parse(raw);
+    } catch (error) {
+      console.error("Errore lettura sessione", error);
+    }
+  }
+  return null;
+}
+
+// Una sessione è scaduta se ha superato expiresAt o il tempo massimo di inattività
+function isSessionExpired(session, now = Date.now()) {
+  if (now > session.expiresAt) return true;
+  return session.idleTimeout > 0 && now - session.lastActiveAt > session.idleTimeout;
+}
+
+// Restituisce la sessione solo se ancora valida
+function getActiveSession() {
+  const session = readSession();
+  if (!session || isSessionExpired(session)) return null;
+  return session;
+}
+
+// Se esiste una sessione ma è scaduta la chiude e restituisce true (utile per avvisare l’utente)
+function expireSessionIfNeeded() {
+  const session = readSession();
+  if (!session || !isSessionExpired(session)) return false;
+  endSession();
+  return true;
+}
+
+// Aggiorna l’ultimo accesso della sessione valida (con throttling per non scrivere a ogni evento)
+function touchSession() {
+  const session = getActiveSession();
+  if (!session) return;
+  const now = Date.now();
+  if (now - session.lastActiveAt < SESSION_OPTIONS.ACTIVITY_THROTTLE) return;
+  const storage = session.remember ? localStorage : sessionStorage;
+  storage.setItem(STORAGE_KEYS.SESSION, JSON.stringify({ ...session, lastActiveAt: now }));
+}
+
+// Listener globali legati alla sessione:
+// - interazioni dell’utente → aggiornano l’ultimo accesso
+// - controllo periodico → se la sessione scade mentre la pagina è aperta, rieseguiamo il router
+// - evento "storage" → login/logout fatti in un’altra scheda
+function setupSessionWatchers() {
+  ["click", "keydown"].forEach(type => {
+    document.addEventListener(type, touchSession, { passive: true });
+  });
+  setInterval(() => {
+    const session = readSession();
+    if (session && isSessionExpired(session)) {
+      handleRouteChange();
+    }
+  }, SESSION_OPTIONS.EXPIRY_CHECK_INTERVAL);
+  window.addEventListener("storage", event => {
+    if (event.key === STORAGE_KEYS.SESSION) {
+      updateNavAuthState();
+    }
+  });
+}
+
+// --------------------------
+// API helpers
+// --------------------------
+
+// Errore tipizzato del client TheMealDB, così le viste possono distinguere i casi:
+// - "network": rete assente o server irraggiungibile
+// - "timeout": nessuna risposta entro API_CLIENT.TIMEOUT
+// - "http": risposta con status di errore (status contiene il codice)
+// - "parse": risposta non in JSON valido
+// - "aborted": richiesta annullata dal chiamante (es. ricerca superata da una più recente)
+class ApiError extends Error {
+  constructor(type, message, { status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "ApiError";
+    this.type = type;
+    this.status = status;
+  }
+
+  // Errori temporanei per cui ha senso ritentare
+  get retryable() {
+    return (
+      this.type === "network" ||
+      this.type === "timeout" ||
+      (this.type === "http" && this.status >= 500)
+    );
+  }
+}
+
+// Client generico per TheMealDB:
+// - richieste identiche già in corso vengono condivise (una sola fetch per endpoint)
+// - ogni chiamante può annullare la propria attesa con options.signal; la fetch condivisa
+//   viene interrotta solo quando non la aspetta più nessuno
+// - timeout e nuovi tentativi con backoff esponenziale sono gestiti in requestApiWithRetry()
+async function queryApi(endpoint, { signal } = {}) {
+  if (signal?.aborted) {
+    throw new ApiError("aborted", "Richiesta annullata");
+  }
+  let shared = appState.apiInFlight.get(endpoint);
+  if (!shared) {
+    const controller = new AbortController();
+    const entry = { controller, waiting: 0, promise: null };
+    entry.promise = requestApiWithRetry(endpoint, controller.signal).finally(() => {
+      releaseApiInFlight(endpoint, entry);
+    });
+    appState.apiInFlight.set(endpoint, entry);
+    shared = entry;
+  }
+  shared.waiting += 1;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      shared.waiting -= 1;
+      if (shared.waiting === 0) {
+        // La voce esce subito dalla mappa: una richiesta identica partita subito dopo
+        // (es. ricerca ripetuta) deve avviare una nuova fetch, non attendere quella annullata
+        releaseApiInFlight(endpoint, shared);
+        shared.controller.abort();
+      }
+      reject(new ApiError("aborted", "Richiesta annullata"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    shared.promise.then(
+      data => {
+        signal?.removeEventListener("abort", onAbort);
+        // Ogni chiamante riceve la propria copia: i dati non vengono condivisi per riferimento
+        resolve(structuredClone(data));
+      },
+      error => {
+        signal?.removeEventListener("abort", onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+// Rimuove una richiesta condivisa da appState.apiInFlight, solo se nel frattempo
+// non è stata sostituita da una nuova richiesta allo stesso endpoint
+function releaseApiInFlight(endpoint, entry) {
+  if (appState.apiInFlight.get(endpoint) === entry) {
+    appState.apiInFlight.delete(endpoint);
+  }
+}
+
+// Esegue la richiesta con timeout e la ripete sugli errori temporanei (backoff esponenziale)
+async function requestApiWithRetry(endpoint, signal) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fetchApiJson(`${API_BASE}${endpoint}`, signal);
+    } catch (error) {
+      // Da offline è inutile ritentare: l’errore arriva subito alla vista
+      if (!error.retryable || attempt >= API_CLIENT.RETRIES || !navigator.onLine) {
+        throw error;
+      }
+      await delay(API_CLIENT.BACKOFF_BASE * 2 ** attempt, signal);
+    }
+  }
+}
+
+// Singola fetch con timeout: converte ogni fallimento in un ApiError tipizzato
+async function fetchApiJson(url, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, API_CLIENT.TIMEOUT);
+  const forwardAbort = () => controller.abort();
+  signal?.addEventListener("abort", forwardAbort, { once: true });
+  try {
+    let response;
+    try {
+      response = await fetch(url, { signal: controller.signal });
+    } catch (error) {
+      if (timedOut) throw new ApiError("timeout", "TheMealDB non ha risposto in tempo");
+      if (signal?.aborted) throw new ApiError("aborted", "Richiesta annullata");
+      throw new ApiError("network", "TheMealDB non è raggiungibile", { cause: error });
+    }
+    if (!response.ok) {
+      throw new ApiError("http", `TheMealDB ha risposto con errore ${response.status}`, {
+        status: response.status
+      });
+    }
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new ApiError("parse", "Risposta di TheMealDB non valida", { cause: error });
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", forwardAbort);
+  }
+}
+
+// Ricerca ricette per nome (search.php?s=)
+async function fetchMealsByName(name, options = {}) {
+  if (!name?.trim()) return [];
+  const data = await queryApi(`search.php?s=${encodeURIComponent(name.trim())}`, options);
+  return normalizeMealList(data.meals);
+}
+
+// Ricerca ricette per iniziale (search.php?f=)
+async function fetchMealsByFirstLetter(letter, options = {}) {
+  if (!letter?.trim()) return [];
+  const data = await queryApi(`search.php?f=${encodeURIComponent(letter.trim())}`, options);
+  return normalizeMealList(data.meals);
+}
+
+// Ricerca ricette per ingrediente (filter.php?i=)
+// filter.php restituisce meno info → restituiamo tutti gli id trovati e i dettagli
+// vengono recuperati pagina per pagina (loadNextSearchPage)
+async function fetchMealsByIngredient(ingredient, options = {}) {
+  if (!ingredient?.trim()) return createSearchResults();
+  return createSearchResults(await fetchMealIdsByFilter("i", ingredient, options));
+}
+
+// Id delle ricette di una categoria, area o ingrediente (filter.php?c= / ?a= / ?i=).
+// filter.php restituisce solo id, nome e thumbnail: il dettaglio si recupera dopo.
+async function fetchMealIdsByFilter(param, value, options = {}) {
+  const data = await queryApi(`filter.php?${param}=${encodeURIComponent(value.trim())}`, options);
+  return (data.meals ?? []).map(meal => meal.idMeal);
+}
+
+// Ricerca combinata per categoria, area e ingrediente: ogni filtro valorizzato produce un elenco
+// di id, l’intersezione viene calcolata lato client e solo dopo si recuperano i dettagli
+async function fetchMealsByFilters({ category, area, ingredient }, options = {}) {
+  const filters = [
+    ["c", category],
+    ["a", area],
+    ["i", ingredient]
+  ].filter(([, value]) => value?.trim());
+  if (filters.length === 0) return createSearchResults();
+  const idLists = await Promise.all(
+    filters.map(([param, value]) => fetchMealIdsByFilter(param, value, options))
+  );
+  const [first, ...others] = idLists;
+  const intersection = first.filter(id => others.every(list => list.includes(id)));
+  // Come per la ricerca per ingrediente, i dettagli si caricano pagina per pagina
+  return createSearchResults(intersection);
+}
+
+// Dettaglio completo di un elenco di ricette:
+// - quelle già in cache non generano richieste
+// - le altre vengono scaricate con al massimo DETAIL_CONCURRENCY richieste in parallelo
+// - una singola ricetta non recuperabile viene saltata senza far fallire le altre
+//   (tranne se la ricerca è stata annullata: in quel caso l’errore risale al chiamante)
+async function fetchMealDetails(ids, options = {}) {
+  // Le ricette personali si uniscono alla cache: sono già tutte in locale
+  const cache = { ...getMealsCache(), ...getPersonalRecipes() };
+  touchCachedMeals(ids.filter(id => cache[id] && !isPersonalRecipeId(id)));
+  const missing = ids.filter(id => !cache[id] && !isPersonalRecipeId(id));
+  const fetched = await mapWithConcurrency(missing, SEARCH_PAGING.DETAIL_CONCURRENCY, id =>
+    fetchMealById(id, options).catch(error => {
+      if (error.type === "aborted") throw error;
+      console.warn(`Dettaglio ricetta ${id} non disponibile`, error);
+      return null;
+    })
+  );
+  const meals = fetched.filter(Boolean);
+  cacheMeals(meals);
+  meals.forEach(meal => {
+    cache[meal.id] = meal;
+  });
+  return ids.map(id => cache[id]).filter(Boolean);
+}
+
+// Liste di categorie, aree e ingredienti (list.php?c=list / ?a=list / ?i=list)
+// per i filtri della ricerca e l’autocompletamento della dispensa
+async function fetchFilterLists() {
+  const [categories, areas, ingredients] = await Promise.all([
+    queryApi("list.php?c=list"),
+    queryApi("list.php?a=list"),
+    queryApi("list.php?i=list")
+  ]);
+  return {
+    categories: (categories.meals ?? []).map(item => item.strCategory).filter(Boolean),
+    areas: (areas.meals ?? []).map(item => item.strArea).filter(Boolean),
+    ingredients: (ingredients.meals ?? []).map(item => item.strIngredient).filter(Boolean)
+  };
+}
+
+// Restituisce le liste dei filtri dalla cache locale, riscaricandole se mancanti o vecchie.
+// Senza rete si usano le liste salvate (anche se scadute) o, in mancanza, quelle ricavate dalla cache ricette.
+// Le liste salvate prima che esistesse quella degli ingredienti vengono riscaricate.
+async function getFilterLists() {
+  const stored = loadFromStorage(STORAGE_KEYS.API_LISTS, null);
+  if (stored?.ingredients && Date.now() - stored.fetchedAt < API_LISTS_TTL) {
+    return stored;
+  }
+  try {
+    const lists = { ...(await fetchFilterLists()), fetchedAt: Date.now() };
+    saveToStorage(STORAGE_KEYS.API_LISTS, lists);
+    return lists;
+  } catch (error) {
+    console.warn("Impossibile aggiornare le liste dei filtri", error);
+    const meals = Object.values(getMealsCache());
+    const unique = values => [...new Set(values.filter(Boolean))].sort();
+    return {
+      categories: stored?.categories ?? unique(meals.map(meal => meal.category)),
+      areas: stored?.areas ?? unique(meals.map(meal => meal.area)),
+      ingredients:
+        stored?.ingredients ??
+        unique(meals.flatMap(meal => meal.ingredients.map(item => item.name)))
+    };
+  }
+}
+
+// Ricerca ricetta singola per id (lookup.php?i=)
+async function fetchMealById(id, options = {}) {
+  if (!id) return null;
+  const data = await queryApi(`lookup.php?i=${encodeURIComponent(id)}`, options);
+  const meal = data.meals?.[0];
+  return meal ? normalizeMeal(meal) : null;
+}
+
+// Normalizza una lista di oggetti "raw" in array di oggetti meal interni
+function normalizeMealList(rawMeals) {
+  if (!rawMeals) return [];
+  return rawMeals.map(normalizeMeal);
+}
+
+// Converte un oggetto ricetta della API in un oggetto interno più pulito
+function normalizeMeal(meal) {
+  const ingredients = [];
+  // TheMealDB espone ingredienti come strIngredient1..20 + strMeasure1..20
+  for (let i = 1; i <= 20; i += 1) {
+    const ingredient = meal[`strIngredient${i}`];
+    const measure = meal[`strMeasure${i}`];
+    if (ingredient && ingredient.trim()) {
+      ingredients.push({
+        name: ingredient.trim(),
+        measure: measure?.trim() ?? ""
+      });
+    }
+  }
+
+  return {
+    id: meal.idMeal,
+    name: meal.strMeal,
+    category: meal.strCategory ?? "",
+    area: meal.strArea ?? "",
+    instructions: meal.strInstructions ?? "",
     thumbnail: meal.strMealThumb ?? "",
     tags: meal.strTags ? meal.strTags.split(",").map(tag => tag.trim()) : [],
     youtube: meal.strYoutube ?? "",
@@ -373,675 +1921,4047 @@ function normalizeMeal(meal) {
   };
 }
 
-// Garantisce che una ricetta sia presente in cache: se manca, la scarica e la salva
-async function ensureMealInCache(mealId) {
+// Garantisce che una ricetta sia presente in cache: se manca, la scarica e la salva.
+// Se c’è già, la restituisce subito (ed eventualmente la riscarica in background se scaduta).
+// Restituisce null se la ricetta non esiste; gli errori di rete arrivano come ApiError.
+async function ensureMealInCache(mealId, options = {}) {
+  if (isPersonalRecipeId(mealId)) {
+    return getPersonalRecipes()[mealId] ?? null;
+  }
   const cache = getMealsCache();
   if (cache[mealId]) {
+    touchCachedMeals([mealId]);
     return cache[mealId];
   }
-  const meal = await fetchMealById(mealId);
+  const meal = await fetchMealById(mealId, options);
   if (meal) {
     cacheMeals([meal]);
   }
   return meal;
 }
 
+// Messaggio da mostrare all’utente per un errore del client TheMealDB
+function describeApiError(error) {
+  if (!navigator.onLine || error?.type === "network") {
+    return t("api.offline");
+  }
+  if (error?.type === "timeout") {
+    return t("api.timeout");
+  }
+  return t("api.unavailable");
+}
+
+// Variante tollerante per le liste (ricettario, recensioni): una ricetta non recuperabile
+// diventa null invece di far fallire l’intera vista
+function ensureMealInCacheOrNull(mealId) {
+  return ensureMealInCache(mealId).catch(error => {
+    console.warn(`Ricetta ${mealId} non disponibile`, error);
+    return null;
+  });
+}
+
+// Ricerca nella cache locale (pgrc_meals), usata quando TheMealDB non è raggiungibile.
+// Replica il più possibile il comportamento delle ricerche online per nome, ingrediente e iniziale.
+function searchMealsInCache(type, value) {
+  return filterMealsForSearch(Object.values(getMealsCache()), type, value);
+}
+
+// Ricette personali che soddisfano una ricerca: vengono aggiunte ai risultati di TheMealDB
+function searchPersonalRecipes(type, value) {
+  return filterMealsForSearch(Object.values(getPersonalRecipes()), type, value);
+}
+
+// Filtra un elenco di ricette con la stessa logica delle ricerche online
+function filterMealsForSearch(meals, type, value) {
+  if (type === "filters") {
+    const { category, area, ingredient } = value;
+    const ingredientQuery = ingredient?.trim().toLowerCase();
+    if (!category && !area && !ingredientQuery) return [];
+    return meals.filter(
+      meal =>
+        (!category || meal.category === category) &&
+        (!area || meal.area === area) &&
+        (!ingredientQuery ||
+          meal.ingredients.some(item => item.name.toLowerCase().includes(ingredientQuery)))
+    );
+  }
+  const query = value?.trim().toLowerCase();
+  if (!query) return [];
+  if (type === "name") {
+    return meals.filter(meal => meal.name.toLowerCase().includes(query));
+  }
+  if (type === "ingredient") {
+    return meals.filter(meal =>
+      meal.ingredients.some(item => item.name.toLowerCase().includes(query))
+    );
+  }
+  if (type === "letter") {
+    return meals.filter(meal => meal.name.toLowerCase().startsWith(query));
+  }
+  return [];
+}
+
+// --------------------------
+// Password e credenziali
+// --------------------------
+
+// Calcola l’hash PBKDF2 di una password: restituisce l’oggetto credentials da salvare sull’utente
+// (mai la password in chiaro). Se il salt non è indicato ne generiamo uno nuovo.
+async function hashPassword(
+  password,
+  salt = crypto.getRandomValues(new Uint8Array(PASSWORD_HASH.SALT_BYTES)),
+  iterations = PASSWORD_HASH.ITERATIONS
+) {
+  const keyMaterial = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    keyMaterial,
+    PASSWORD_HASH.KEY_BITS
+  );
+  return {
+    algorithm: PASSWORD_HASH.ALGORITHM,
+    iterations,
+    salt: bytesToBase64(salt),
+    hash: bytesToBase64(new Uint8Array(bits))
+  };
+}
+
+// Verifica una password rispetto alle credenziali dell’utente.
+// Gli account creati prima dell’hashing hanno ancora il campo "password" in chiaro:
+// li accettiamo comunque, l’aggiornamento avviene in authenticateUser().
+async function verifyPassword(user, password) {
+  if (user.credentials) {
+    const { salt, iterations, hash } = user.credentials;
+    const candidate = await hashPassword(password, base64ToBytes(salt), iterations);
+    return timingSafeEqual(candidate.hash, hash);
+  }
+  if (typeof user.password === "string") {
+    return timingSafeEqual(user.password, password);
+  }
+  return false;
+}
+
+// Restituisce una copia dell’utente con le nuove credenziali hashate e senza password in chiaro
+async function setUserPassword(user, password) {
+  const credentials = await hashPassword(password);
+  const { password: _legacyPassword, ...rest } = user;
+  return { ...rest, credentials };
+}
+
+// Cerca l’utente per username o email e ne verifica la password.
+// Al primo login riuscito di un account “legacy” la password viene convertita in hash.
+async function authenticateUser(identifier, password) {
+  const user = getUsers().find(u => u.username === identifier || u.email === identifier);
+  if (!user || !(await verifyPassword(user, password))) {
+    return null;
+  }
+  if (!user.credentials) {
+    const upgraded = await setUserPassword(user, password);
+    persistUser(upgraded);
+    return upgraded;
+  }
+  return user;
+}
+
+// --------------------------
+// Ricerca full-text locale
+// --------------------------
+
+// Normalizza un testo per l’indicizzazione: minuscolo, senza accenti e senza punteggiatura
+function normalizeSearchText(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Divide un testo in termini indicizzabili (scartando stopword e parole di una lettera)
+function tokenizeSearchText(text) {
+  return normalizeSearchText(text)
+    .split(" ")
+    .filter(token => token.length > 1 && !LOCAL_SEARCH.STOPWORDS.has(token));
+}
+
+// Termini di una ricetta con il relativo peso: un termine presente in più campi somma i pesi
+function weightedMealTerms(meal) {
+  const { FIELD_WEIGHTS } = LOCAL_SEARCH;
+  const fields = {
+    name: meal.name,
+    category: meal.category,
+    area: meal.area,
+    tags: (meal.tags ?? []).join(" "),
+    ingredients: (meal.ingredients ?? []).map(item => item.name).join(" "),
+    instructions: meal.instructions
+  };
+  const terms = new Map();
+  Object.entries(fields).forEach(([field, text]) => {
+    new Set(tokenizeSearchText(text)).forEach(token => {
+      terms.set(token, (terms.get(token) ?? 0) + FIELD_WEIGHTS[field]);
+    });
+  });
+  return terms;
+}
+
+// Indice invertito: per ogni termine, le ricette che lo contengono con il loro peso.
+// docs tiene i termini di ogni ricetta per poterla reindicizzare quando cambia.
+function buildSearchIndex() {
+  appState.searchIndex = { postings: new Map(), docs: new Map() };
+  indexMeals(Object.values(getMealsCache()));
+  indexMeals(Object.values(getPersonalRecipes()));
+  return appState.searchIndex;
+}
+
+// Aggiunge (o aggiorna) delle ricette nell’indice, se l’indice esiste già
+function indexMeals(meals = []) {
+  const index = appState.searchIndex;
+  if (!index) return;
+  meals.forEach(meal => {
+    if (!meal?.id) return;
+    // Rimuoviamo le voci precedenti della stessa ricetta
+    index.docs.get(meal.id)?.forEach(token => {
+      index.postings.get(token)?.delete(meal.id);
+    });
+    const terms = weightedMealTerms(meal);
+    terms.forEach((weight, token) => {
+      if (!index.postings.has(token)) index.postings.set(token, new Map());
+      index.postings.get(token).set(meal.id, weight);
+    });
+    index.docs.set(meal.id, [...terms.keys()]);
+  });
+}
+
+// Rimuove dall’indice le ricette eliminate dalla cache
+function unindexMeals(ids = []) {
+  const index = appState.searchIndex;
+  if (!index) return;
+  ids.forEach(id => {
+    index.docs.get(id)?.forEach(token => {
+      index.postings.get(token)?.delete(id);
+    });
+    index.docs.delete(id);
+  });
+}
+
+// Cerca nell’indice locale. Ogni termine della query può corrispondere a un termine indicizzato
+// in modo esatto, per prefisso o (se abbastanza lungo) all’interno della parola.
+// Ordinamento: prima le ricette che soddisfano più termini della query, poi il punteggio totale.
+function searchLocalIndex(query) {
+  const index = appState.searchIndex ?? buildSearchIndex();
+  const { MIN_PARTIAL_LENGTH, PREFIX_FACTOR, INFIX_FACTOR } = LOCAL_SEARCH;
+  const queryTerms = [...new Set(tokenizeSearchText(query))];
+  const matches = new Map();
+  queryTerms.forEach(term => {
+    // Miglior punteggio ottenuto da ogni ricetta per questo termine
+    const termScores = new Map();
+    index.postings.forEach((docs, token) => {
+      let factor = 0;
+      if (token === term) {
+        factor = 1;
+      } else if (term.length >= MIN_PARTIAL_LENGTH && token.startsWith(term)) {
+        factor = PREFIX_FACTOR;
+      } else if (term.length >= MIN_PARTIAL_LENGTH && token.includes(term)) {
+        factor = INFIX_FACTOR;
+      }
+      if (!factor) return;
+      docs.forEach((weight, mealId) => {
+        termScores.set(mealId, Math.max(termScores.get(mealId) ?? 0, weight * factor));
+      });
+    });
+    termScores.forEach((score, mealId) => {
+      const match = matches.get(mealId) ?? { terms: 0, score: 0 };
+      matches.set(mealId, { terms: match.terms + 1, score: match.score + score });
+    });
+  });
+  const cache = { ...getMealsCache(), ...getPersonalRecipes() };
+  return [...matches.entries()]
+    .sort(([, a], [, b]) => b.terms - a.terms || b.score - a.score)
+    .map(([mealId]) => cache[mealId])
+    .filter(Boolean);
+}
+
+// --------------------------
+// Offline e service worker
+// --------------------------
+
+// Registra il service worker, se il browser lo supporta (richiede http(s), non file://)
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+    console.warn("Registrazione del service worker non riuscita", error);
+  });
+}
+
+// Sincronizza il badge “Offline” della navbar con lo stato della connessione
+function setupOfflineIndicator() {
+  const update = () => {
+    document.getElementById("ccOfflineBadge")?.classList.toggle("d-none", navigator.onLine);
+  };
+  window.addEventListener("online", update);
+  window.addEventListener("offline", update);
+  update();
+}
+
+// --------------------------
+// Navbar e autenticazione
+// --------------------------
+
+// Imposta i listener specifici per il link di autenticazione (Login/Logout)
+function setupNavAuthEvents() {
+  const authLink = document.getElementById("ccAuthLink");
+  if (!authLink) return;
+  authLink.addEventListener("click", event => {
+    // Se lo stato del link è "logout", intercettiamo il click e non navighiamo
+    if (authLink.dataset.action === "logout") {
+      event.preventDefault();
+      handleLogout();
+    }
+  });
+  // All’avvio sincronizziamo il testo del link con lo stato utente
+  updateNavAuthState();
+}
+
+// Aggiorna il link di autenticazione nella navbar in base a currentUser
+function updateNavAuthState() {
+  const authLink = document.getElementById("ccAuthLink");
+  if (!authLink) return;
+  const user = getCurrentUser();
+  if (user) {
+    // Utente loggato → mostriamo "Logout"
+    authLink.textContent = t("nav.logout");
+    authLink.href = "#/home";
+    authLink.dataset.action = "logout";
+  } else {
+    // Nessun utente loggato → mostriamo "Login"
+    authLink.textContent = t("nav.login");
+    authLink.href = "#/login";
+    delete authLink.dataset.action;
+  }
+}
+
+// Esegue il logout: azzera currentUser, aggiorna nav e torna alla home
+function handleLogout() {
+  endSession();
+  updateNavAuthState();
+  window.location.hash = "#/home";
+}
+
+// --------------------------
+// Startup data
+// --------------------------
+
+// Precarica alcune ricette “in evidenza” all’avvio (per non avere app vuota)
+async function preloadFeaturedMeals() {
+  const cache = getMealsCache();
+  // Se abbiamo già ricette in cache, non facciamo nulla
+  if (Object.keys(cache).length > 0) return;
+  try {
+    // Carichiamo ricette che iniziano per "a" e ne prendiamo 8 come sample
+    const meals = await fetchMealsByFirstLetter("a");
+    cacheMeals(meals.slice(0, 8));
+  } catch (error) {
+    console.warn("Impossibile precaricare ricette", error);
+  }
+}
+
+// --------------------------
+// View controllers
+// --------------------------
+
+// Inizializza la home: la parte statica è nel frammento, qui aggiungiamo i rail di raccomandazioni
+// (personali per l’utente loggato, generici per i visitatori) e le ricette più amate
+async function initHomeView({ signal } = {}) {
+  const user = getCurrentUser();
+  const ratings = getRecipeRatings();
+  const profile = user ? buildTasteProfile(user) : createEmptyTasteProfile();
+  const [forYou, retry, explore, mostLoved] = await Promise.all([
+    user ? getPersonalRecommendations(profile, { signal }) : [],
+    user ? getRetryRecommendations(user) : [],
+    getExploreRecommendations(profile, { signal }),
+    Promise.all(
+      sortMealIdsByRating([...ratings.keys()], ratings)
+        .slice(0, HOME_MOST_LOVED_SIZE)
+        .map(id => ensureMealInCacheOrNull(id))
+    )
+  ]);
+  if (signal?.aborted) return;
+  // Una ricetta già consigliata in “Per te” non si ripete in “Esplora una nuova cucina”
+  const shown = new Set(forYou.map(meal => meal.id));
+  const exploreMeals = explore ? explore.meals.filter(meal => !shown.has(meal.id)) : [];
+  if (forYou.length > 0) {
+    renderHomeRail("homeForYou", forYou, ratings);
+  } else {
+    // Profilo ancora senza segnali (o visitatore): “In evidenza” al posto di “Per te”,
+    // senza le ricette già proposte nella nuova cucina
+    const excluded = new Set([...profile.owned, ...exploreMeals.map(meal => meal.id)]);
+    document.getElementById("homeForYouTitle").textContent = t("home.featuredTitle");
+    document.getElementById("homeForYouHint").textContent = user
+      ? t("home.featuredHintUser")
+      : t("home.featuredHintGuest");
+    renderHomeRail("homeForYou", getFeaturedRecommendations(excluded), ratings);
+  }
+  renderHomeRail("homeRetry", retry, ratings);
+  if (exploreMeals.length > 0) {
+    // Il nome della cucina prende il posto di {area} nella frase tradotta, evidenziato
+    const [before, after = ""] = t("home.exploreHint").split("{area}");
+    document.getElementById("homeExploreHint").innerHTML = html`
+      ${before}<span class="text-accent fw-bold">${explore.area}</span>${after}
+    `;
+    renderHomeRail("homeExplore", exploreMeals, ratings);
+  }
+  renderHomeRail("homeMostLoved", mostLoved.filter(Boolean), ratings);
+}
+
+// Riempie un rail della home (sezione id + lista id + "List") e lo rende visibile;
+// un rail senza ricette resta nascosto
+function renderHomeRail(id, meals, ratings) {
+  const section = document.getElementById(id);
+  const list = document.getElementById(`${id}List`);
+  if (!section || !list || meals.length === 0) return;
+  list.innerHTML = html`${meals.map(meal => renderMealCard(meal, ratings.get(meal.id)))}`;
+  section.classList.remove("d-none");
+}
+
+// Inizializza la vista di login: attach handler al form e gestisce autenticazione
+// Se il login è stato richiesto da una pagina protetta, route.query.next indica dove tornare
+function initLoginView({ query = {} } = {}) {
+  const next = getSafeRedirect(query.next);
+  // Se l’utente è già loggato, non ha senso mostrare il login → redirigiamo a destinazione
+  if (getCurrentUser()) {
+    window.location.hash = next;
+    return;
+  }
+  const form = document.getElementById("loginForm");
+  const alertBox = document.getElementById("loginAlert");
+  // Chi si registra da qui torna comunque alla pagina richiesta
+  const registerLink = document.getElementById("loginRegisterLink");
+  if (registerLink && query.next) {
+    registerLink.href = buildRouteHash("#/register", { next: query.next });
+  }
+  // Eventuale avviso lasciato dal router (es. sessione scaduta)
+  if (appState.flashMessage) {
+    showAlert(alertBox, appState.flashMessage, "warning");
+    appState.flashMessage = null;
+  }
+  form?.addEventListener("submit", async event => {
+    event.preventDefault();
+    const identifier = document.getElementById("loginIdentifier").value.trim();
+    const password = document.getElementById("loginPassword").value.trim();
+    // Possiamo loggare con username o email, purché la password (hashata) coincida
+    const user = await authenticateUser(identifier, password);
+    if (!user) {
+      showAlert(alertBox, t("login.invalid"));
+      return;
+    }
+    // Opzioni di sessione scelte nel form: “ricordami” e timeout di inattività (minuti)
+    const remember = document.getElementById("loginRemember")?.checked ?? false;
+    const idleMinutes = Number(document.getElementById("loginIdleTimeout")?.value ?? 0);
+    startSession(user, { remember, idleTimeout: idleMinutes * 60 * 1000 });
+    updateNavAuthState();
+    window.location.hash = next;
+  });
+}
+
+// Inizializza la vista di registrazione utente
+function initRegisterView({ query = {} } = {}) {
+  // Se c’è già un utente loggato, registrarsi non ha senso → redirigiamo a home
+  if (getCurrentUser()) {
+    window.location.hash = getSafeRedirect(query.next);
+    return;
+  }
+  const form = document.getElementById("registerForm");
+  const alertBox = document.getElementById("registerAlert");
+  form?.addEventListener("submit", async event => {
+    event.preventDefault();
+    const username = document.getElementById("registerUsername").value.trim();
+    const email = document.getElementById("registerEmail").value.trim();
+    const password = document.getElementById("registerPassword").value.trim();
+    const confirmPassword = document.getElementById("registerPasswordConfirm").value.trim();
+    const favorites = document.getElementById("registerFavorites").value.trim();
+
+    // Validazioni minime lato client
+    if (!username || !email || !password) {
+      showAlert(alertBox, t("register.missingFields"));
+      return;
+    }
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      showAlert(alertBox, t("auth.passwordTooShort", { count: PASSWORD_MIN_LENGTH }));
+      return;
+    }
+    if (password !== confirmPassword) {
+      showAlert(alertBox, t("auth.passwordMismatch"));
+      return;
+    }
+    // Verifichiamo unicità di username o email
+    const isTaken = users => users.some(user => user.username === username || user.email === email);
+    if (isTaken(getUsers())) {
+      showAlert(alertBox, t("register.taken"));
+      return;
+    }
+
+    // Creiamo un nuovo utente base: avrà un id, credenziali hashate e un ricettario vuoto
+    const newUser = await setUserPassword(
+      {
+        id: generateId("user"),
+        username,
+        email,
+        favorites,
+        cookbook: []
+      },
+      password
+    );
+    // Durante l’hash (asincrono) un altro tab o un doppio invio può aver salvato nuovi utenti:
+    // rileggiamo l’elenco aggiornato e ripetiamo il controllo prima di scrivere
+    const users = getUsers();
+    if (isTaken(users)) {
+      showAlert(alertBox, t("register.taken"));
+      return;
+    }
+    users.push(newUser);
+    saveUsers(users);
+    startSession(newUser);
+    updateNavAuthState();
+    window.location.hash = getSafeRedirect(query.next, "#/profile");
+  });
+}
+
+// Inizializza la vista profilo: mostra info utente, permette update, logout e cancellazione
+function initProfileView() {
+  const user = getCurrentUser();
+  if (!user) {
+    redirectToLogin();
+    return;
+  }
+  // Mostra info utente in un pannello riepilogativo
+  renderProfileInfo(user);
+  const form = document.getElementById("profileForm");
+  const successAlert = document.getElementById("profileAlertSuccess");
+  const errorAlert = document.getElementById("profileAlertError");
+  const logoutBtn = document.getElementById("logoutBtn");
+  const deleteBtn = document.getElementById("deleteProfileBtn");
+
+  // Precompiliamo i campi del form con i dati attuali
+  document.getElementById("profileEmail").value = user.email;
+  document.getElementById("profileFavorites").value = user.favorites ?? "";
+  document.getElementById("profileUnitSystem").value = getUnitSystem(user);
+  // Selettore della lingua: "automatica" è già nel frammento, le lingue arrivano da LOCALES
+  const languageSelect = document.getElementById("profileLanguage");
+  languageSelect.insertAdjacentHTML(
+    "beforeend",
+    html`${Object.entries(LOCALES).map(
+      ([code, { label }]) => html`<option value="${code}">${label}</option>`
+    )}`
+  );
+  languageSelect.value = LOCALES[user.language] ? user.language : "";
+
+  form?.addEventListener("submit", async event => {
+    event.preventDefault();
+    const email = document.getElementById("profileEmail").value.trim();
+    const favorites = document.getElementById("profileFavorites").value.trim();
+    const unitSystem = document.getElementById("profileUnitSystem").value;
+    // "" = nessuna scelta: si segue la lingua del browser (vedi resolveLocale)
+    const language = languageSelect.value;
+    if (!email) {
+      showAlert(errorAlert, t("profile.emailRequired"));
+      return;
+    }
+    // Creiamo un clone aggiornato dell’oggetto utente, partendo dal record salvato
+    // (un cambio password nel frattempo non deve essere sovrascritto)
+    const saved = getUsers().find(u => u.id === user.id) ?? user;
+    const updated = { ...saved, email, favorites, unitSystem, language };
+    persistUser(updated);
+    // Cambiando lingua il router rimonta la vista, già tradotta: la conferma va nella nuova vista
+    if (resolveLocale(updated) !== appState.locale) {
+      await handleRouteChange();
+      showAlert(document.getElementById("profileAlertSuccess"), t("profile.updated"), "success");
+      return;
+    }
+    renderProfileInfo(updated);
+    showAlert(successAlert, t("profile.updated"), "success");
+  });
+
+  // Form di cambio password: verifica la password attuale e salva il nuovo hash
+  const passwordForm = document.getElementById("passwordForm");
+  const passwordAlert = document.getElementById("passwordAlert");
+  passwordForm?.addEventListener("submit", async event => {
+    event.preventDefault();
+    const currentPassword = document.getElementById("passwordCurrent").value.trim();
+    const newPassword = document.getElementById("passwordNew").value.trim();
+    const confirmPassword = document.getElementById("passwordNewConfirm").value.trim();
+    // Rileggiamo l’utente: le credenziali potrebbero essere state aggiornate dopo il render
+    const freshUser = getUsers().find(u => u.id === user.id) ?? user;
+    if (!(await verifyPassword(freshUser, currentPassword))) {
+      showAlert(passwordAlert, t("profile.passwordWrong"));
+      return;
+    }
+    if (newPassword.length < PASSWORD_MIN_LENGTH) {
+      showAlert(passwordAlert, t("auth.passwordTooShort", { count: PASSWORD_MIN_LENGTH }));
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      showAlert(passwordAlert, t("auth.passwordMismatch"));
+      return;
+    }
+    persistUser(await setUserPassword(freshUser, newPassword));
+    passwordForm.reset();
+    showAlert(passwordAlert, t("profile.passwordUpdated"), "success");
+  });
+
+  // Backup dell’account: esportazione e importazione di un file JSON
+  setupBackupControls(user.id);
+
+  // Cache delle ricette: dimensione attuale e svuotamento
+  setupMealCacheControls();
+
+  // Pulsante di logout diretto dalla pagina profilo
+  logoutBtn?.addEventListener("click", handleLogout);
+  // Pulsante per eliminazione definitiva del profilo
+  deleteBtn?.addEventListener("click", () => {
+    const confirmDelete = confirm(t("profile.deleteConfirm"));
+    if (!confirmDelete) return;
+    removeUser(user.id);
+    updateNavAuthState();
+    window.location.hash = "#/home";
+  });
+}
+
+// Aggiorna il pannello di riepilogo delle informazioni utente
+function renderProfileInfo(user) {
+  const container = document.getElementById("profileInfo");
+  const cookbookCount = user.cookbook?.length ?? 0;
+  container.innerHTML = html`
+    <ul class="list-group list-group-flush">
+      <li class="list-group-item bg-transparent text-white">
+        <strong>${t("profile.infoUsername")}</strong> ${user.username}
+      </li>
+      <li class="list-group-item bg-transparent text-white">
+        <strong>${t("profile.infoEmail")}</strong> ${user.email}
+      </li>
+      <li class="list-group-item bg-transparent text-white">
+        <strong>${t("profile.infoFavorites")}</strong>
+        ${user.favorites || t("profile.noFavorites")}
+      </li>
+      <li class="list-group-item bg-transparent text-white">
+        <strong>${t("profile.infoSaved")}</strong> ${cookbookCount}
+      </li>
+    </ul>
+  `;
+}
+
+// Pannello “Cache ricette” della vista profilo: mostra la dimensione e permette di svuotarla
+function setupMealCacheControls() {
+  const info = document.getElementById("mealCacheInfo");
+  const clearBtn = document.getElementById("mealCacheClearBtn");
+  const alertBox = document.getElementById("mealCacheAlert");
+  if (!info) return;
+
+  const renderStats = () => {
+    const stats = getMealsCacheStats();
+    info.innerHTML = html`
+      <li class="list-group-item bg-transparent text-white">
+        <strong>${t("mealCache.count")}</strong>
+        ${t("mealCache.countValue", { count: stats.count, max: MEAL_CACHE.MAX_ENTRIES })}
+      </li>
+      <li class="list-group-item bg-transparent text-white">
+        <strong>${t("mealCache.pinned")}</strong> ${stats.pinned}
+      </li>
+      <li class="list-group-item bg-transparent text-white">
+        <strong>${t("mealCache.size")}</strong>
+        ${(stats.bytes / 1024).toLocaleString(getLocaleTag(), { maximumFractionDigits: 1 })} KB
+      </li>
+    `;
+  };
+  renderStats();
+
+  clearBtn?.addEventListener("click", () => {
+    const removed = clearMealsCache();
+    renderStats();
+    showAlert(alertBox, t("mealCache.cleared", { count: removed }), "success");
+  });
+}
+
+// Collega i pulsanti “Esporta dati” e “Importa dati” della vista profilo
+function setupBackupControls(userId) {
+  const exportBtn = document.getElementById("backupExportBtn");
+  const importForm = document.getElementById("backupImportForm");
+  const alertBox = document.getElementById("backupAlert");
+
+  exportBtn?.addEventListener("click", () => {
+    const user = getUsers().find(u => u.id === userId);
+    if (!user) return;
+    downloadAccountBackup(user);
+    showAlert(alertBox, t("backup.exported"), "success");
+  });
+
+  importForm?.addEventListener("submit", async event => {
+    event.preventDefault();
+    const file = document.getElementById("backupFile").files?.[0];
+    const mode = importForm.querySelector("input[name='backupMode']:checked")?.value ?? "merge";
+    if (!file) {
+      showAlert(alertBox, t("backup.noFile"));
+      return;
+    }
+    let backup;
+    try {
+      backup = validateAccountBackup(JSON.parse(await file.text()));
+    } catch (error) {
+      showAlert(alertBox, t("backup.invalid", { reason: error.message }));
+      return;
+    }
+    if (mode === "replace" && !confirm(t("backup.replaceConfirm"))) {
+      return;
+    }
+    const summary = importAccountBackup(userId, backup, mode);
+    importForm.reset();
+    renderProfileInfo(getUsers().find(u => u.id === userId));
+    showAlert(
+      alertBox,
+      t("backup.imported", {
+        cookbook: t("backup.importedCookbook", { count: summary.cookbook }),
+        reviews: t("backup.importedReviews", { count: summary.reviews }),
+        recipes: t("backup.importedRecipes", { count: summary.recipes })
+      }),
+      "success"
+    );
+  });
+}
+
+// Inizializza la vista di ricerca ricette
+// La ricerca attiva è descritta dall’URL (#/search?type=name&q=curry): la vista la riesegue
+// all’apertura, così i risultati si possono salvare, condividere e ripristinare con avanti/indietro
+function initSearchView({ query = {}, signal } = {}) {
+  // Lasciando la vista, la ricerca eventualmente in corso viene annullata
+  signal?.addEventListener("abort", () => appState.searchController?.abort());
+  // Riportiamo nel form i valori della ricerca presente nell’URL
+  fillSearchForm(query);
+  // Popoliamo in background le tendine di categoria e cucina (poi riselezioniamo i filtri dell’URL)
+  populateFilterSelects().then(() => fillSearchForm(query));
+  const buttons = document.querySelectorAll("#searchControls button[data-search]");
+  // Ogni bottone corrisponde a un tipo di ricerca (per nome, ingrediente, lettera)
+  buttons.forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const type = btn.dataset.search;
+      await handleSearch(type);
+    });
+  });
+  // Cambiando ordinamento, la ricerca corrente viene riaperta con il nuovo parametro "sort"
+  document.getElementById("searchSort")?.addEventListener("change", event => {
+    if (!query.type) return;
+    window.location.hash = buildRouteHash("#/search", { ...query, sort: event.target.value });
+  });
+  // “Carica altre”: recupera i dettagli della pagina successiva (con cache e concorrenza limitata)
+  const moreBtn = document.getElementById("searchMoreBtn");
+  moreBtn?.addEventListener("click", async () => {
+    moreBtn.disabled = true;
+    moreBtn.textContent = t("common.loading");
+    const results = appState.searchResults;
+    try {
+      await loadNextSearchPage(results, { signal });
+    } catch (error) {
+      // Vista lasciata nel frattempo: la pagina caricata a metà non va più mostrata
+      if (error.type === "aborted") return;
+      console.error("Errore nel caricamento di altri risultati", error);
+      // Restano i risultati già mostrati: il pulsante torna attivo per riprovare,
+      // con il motivo dell’errore nella nota sopra l’elenco
+      renderSearchResults(results);
+      const sourceNote = document.getElementById("searchSource");
+      if (sourceNote) {
+        sourceNote.textContent = describeApiError(error);
+        sourceNote.classList.remove("d-none");
+      }
+      return;
+    }
+    if (signal?.aborted) return;
+    renderSearchResults(results);
+  });
+
+  if (!query.type) {
+    renderSearchResults(createSearchResults());
+    return;
+  }
+  // Tornando a una ricerca appena fatta (es. con “indietro”) riusiamo i risultati in memoria,
+  // comprese le pagine già caricate; altrimenti la rieseguiamo
+  const previous = appState.searchHistory.get(buildRouteHash("#/search", query));
+  if (previous) {
+    appState.searchResults = previous;
+    renderSearchResults(previous);
+    return;
+  }
+  return runSearch(query);
+}
+
+// Legge dal form i parametri di un tipo di ricerca, nella forma usata dalla query string
+function readSearchForm(type) {
+  const inputValue = id => document.getElementById(id)?.value.trim() ?? "";
+  // L’ordinamento scelto vale per qualunque tipo di ricerca (vuoto = ordine di TheMealDB)
+  const sort = inputValue("searchSort");
+  if (type === "filters") {
+    return {
+      type,
+      ...Object.fromEntries(
+        Object.entries(SEARCH_FILTER_INPUTS).map(([param, id]) => [param, inputValue(id)])
+      ),
+      sort
+    };
+  }
+  return SEARCH_INPUTS[type] ? { type, q: inputValue(SEARCH_INPUTS[type]), sort } : null;
+}
+
+// Riporta nel form i parametri di ricerca letti dall’URL
+function fillSearchForm(query) {
+  const setValue = (id, value) => {
+    const field = document.getElementById(id);
+    if (field && value !== undefined) field.value = value;
+  };
+  if (query.type === "filters") {
+    Object.entries(SEARCH_FILTER_INPUTS).forEach(([param, id]) => setValue(id, query[param]));
+  } else if (SEARCH_INPUTS[query.type]) {
+    setValue(SEARCH_INPUTS[query.type], query.q);
+  }
+  setValue("searchSort", query.sort ?? "");
+}
+
+// Gestisce il click su un pulsante di ricerca: scrive la ricerca nell’URL e il router la esegue
+async function handleSearch(type) {
+  const query = readSearchForm(type);
+  if (!query) return;
+  const hash = buildRouteHash("#/search", query);
+  const current = parseRoute(window.location.hash);
+  if (current && buildRouteHash(current.path, current.query) === hash) {
+    // Stessa ricerca già nell’URL: hashchange non scatterebbe, quindi la rieseguiamo qui
+    await runSearch(query);
+    return;
+  }
+  window.location.hash = hash;
+}
+
+// Esegue una ricerca descritta da parametri di query ({ type, q } oppure i filtri combinati)
+async function runSearch(query) {
+  const countBadge = document.getElementById("searchCount");
+  countBadge.textContent = t("search.searching");
+  document.getElementById("searchSource")?.classList.add("d-none");
+  // Ogni tipo di ricerca usa la sua funzione API
+  const fetchers = {
+    name: fetchMealsByName,
+    ingredient: fetchMealsByIngredient,
+    letter: fetchMealsByFirstLetter,
+    // Filtri combinati: categoria + cucina + ingrediente, in intersezione
+    filters: fetchMealsByFilters,
+    // La ricerca locale usa solo la cache: funziona anche offline
+    local: async value => searchLocalIndex(value)
+  };
+  const { type } = query;
+  const fetcher = fetchers[type];
+  if (!fetcher) return;
+  const value =
+    type === "filters"
+      ? Object.fromEntries(
+          Object.keys(SEARCH_FILTER_INPUTS).map(param => [param, query[param] ?? ""])
+        )
+      : (query.q ?? "");
+  // Una nuova ricerca annulla quella in corso: le sue risposte tardive vengono ignorate
+  appState.searchController?.abort();
+  const controller = new AbortController();
+  appState.searchController = controller;
+  const { signal } = controller;
+  let results;
+  try {
+    const found = await fetcher(value, { signal });
+    if (Array.isArray(found)) {
+      // Aggiorniamo la cache locale con i risultati trovati (quelli locali vengono già da lì)
+      if (type !== "local") {
+        cacheMeals(found);
+      }
+      results = createSearchResults(
+        found.map(meal => meal.id),
+        found
+      );
+    } else {
+      results = found;
+    }
+  } catch (error) {
+    if (error.type === "aborted") return;
+    console.error("Errore durante la ricerca", error);
+    // TheMealDB non disponibile: ripieghiamo sulle ricette già salvate in locale
+    const cached = searchMealsInCache(type, value);
+    results = createSearchResults(
+      cached.map(meal => meal.id),
+      cached
+    );
+    results.error = error.type ?? "network";
+  }
+  if (signal.aborted) return;
+  // Le ricette personali non sono su TheMealDB: le aggiungiamo in testa ai risultati
+  // (la ricerca locale le include già tramite l’indice)
+  if (type !== "local") {
+    const personal = searchPersonalRecipes(type, value).filter(
+      recipe => !results.ids.includes(recipe.id)
+    );
+    results.ids = [...personal.map(recipe => recipe.id), ...results.ids];
+    personal.forEach(recipe => {
+      results.meals[recipe.id] = recipe;
+    });
+  }
+  // Ordinamento per valutazione: riguarda tutti gli id, prima di caricare la prima pagina
+  if (query.sort === "rating") {
+    results.ids = sortMealIdsByRating(results.ids);
+  }
+  // Carichiamo i dettagli della prima pagina
+  try {
+    await loadNextSearchPage(results, { signal });
+  } catch (error) {
+    if (error.type === "aborted") return;
+    throw error;
+  }
+  // Ricordiamo a quale URL appartengono i risultati, per ripristinarli con avanti/indietro
+  results.key = buildRouteHash("#/search", query);
+  appState.searchHistory.delete(results.key);
+  appState.searchHistory.set(results.key, results);
+  if (appState.searchHistory.size > SEARCH_PAGING.HISTORY_SIZE) {
+    appState.searchHistory.delete(appState.searchHistory.keys().next().value);
+  }
+  // Salviamo i risultati nello stato globale e li rendiamo
+  appState.searchResults = results;
+  renderSearchResults(results);
+}
+
+// Riempie le tendine di categoria e cucina (area) con le liste di TheMealDB
+async function populateFilterSelects() {
+  const lists = await getFilterLists();
+  const fill = (selectId, values) => {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    values.forEach(value => {
+      select.add(new Option(value, value));
+    });
+  };
+  fill("filterCategory", lists.categories);
+  fill("filterArea", lists.areas);
+}
+
+// Risultati di ricerca paginati:
+// - ids: tutti gli id trovati, nell’ordine dell’API (il loro numero è il totale reale)
+// - meals: dettagli già disponibili, indicizzati per id
+// - visible: quante ricette mostrare (cresce di PAGE_SIZE a ogni “Carica altre”)
+// - error: tipo di ApiError se TheMealDB non ha risposto (risultati presi dalla cache), altrimenti null
+// - key: hash della ricerca che ha prodotto i risultati (es. "#/search?type=name&q=curry")
+function createSearchResults(ids = [], meals = []) {
+  return {
+    ids,
+    meals: Object.fromEntries(meals.map(meal => [meal.id, meal])),
+    visible: 0,
+    error: null,
+    key: null
+  };
+}
+
+// Allarga la finestra visibile di una pagina e recupera i dettagli che mancano
+async function loadNextSearchPage(results, options = {}) {
+  const visible = Math.min(results.visible + SEARCH_PAGING.PAGE_SIZE, results.ids.length);
+  const missing = results.ids.slice(0, visible).filter(id => !results.meals[id]);
+  const fetched = await fetchMealDetails(missing, options);
+  fetched.forEach(meal => {
+    results.meals[meal.id] = meal;
+  });
+  results.visible = visible;
+  return results;
+}
+
+// Costruisce il markup dei risultati della ricerca e aggiorna contatore e pulsante “Carica altre”
+function renderSearchResults(results = createSearchResults()) {
+  const container = document.getElementById("searchResults");
+  const countBadge = document.getElementById("searchCount");
+  const moreBtn = document.getElementById("searchMoreBtn");
+  const sourceNote = document.getElementById("searchSource");
+  if (!container || !countBadge) return;
+  const total = results.ids.length;
+  // Nota sulla provenienza: se TheMealDB non ha risposto, i risultati vengono dalla cache locale
+  if (sourceNote) {
+    sourceNote.textContent = results.error
+      ? `${describeApiError({ type: results.error })} ${t("search.fromCache")}`
+      : "";
+    sourceNote.classList.toggle("d-none", !results.error);
+  }
+  countBadge.textContent = t("common.recipeCount", { count: total });
+  moreBtn?.classList.toggle("d-none", results.visible >= total);
+  if (moreBtn) {
+    moreBtn.disabled = false;
+    moreBtn.textContent = t("search.more", { visible: results.visible, total });
+  }
+  if (total === 0) {
+    // Distinguiamo “nessuna ricetta trovata” da “TheMealDB non raggiungibile e niente in cache”
+    container.innerHTML = html`
+      <p class="text-muted">
+        ${results.error ? t("search.noCachedResults") : t("search.noResults")}
+      </p>
+    `;
+    return;
+  }
+  // Ogni ricetta viene resa come card Bootstrap con un pulsante “Dettagli”
+  const ratings = getRecipeRatings();
+  container.innerHTML = html`${results.ids
+    .slice(0, results.visible)
+    .map(id => results.meals[id])
+    .filter(Boolean)
+    .map(meal => renderMealCard(meal, ratings.get(meal.id)))}`;
+}
+
+// Categoria e cucina di una ricetta ("Seafood · Italian"), per card e dettaglio.
+// I valori mancanti sono salvati vuoti e mostrati come "N/D" nella lingua attiva
+function formatMealOrigin(meal) {
+  return [meal.category, meal.area].map(value => value || t("recipe.notAvailable")).join(" · ");
+}
+
+// Restituisce la card HTML per una singola ricetta (usata nella ricerca e nella home)
+// rating è la valutazione aggregata della ricetta (vedi getRecipeRatings), se recensita
+function renderMealCard(meal, rating = null) {
+  return html`
+    <div class="col-md-4">
+      <div class="card card-glow h-100">
+        ${meal.thumbnail && html`<img src="${meal.thumbnail}" class="card-img-top" alt="${meal.name}" />`}
+        <div class="card-body d-flex flex-column">
+          <div class="d-flex justify-content-between align-items-start gap-2">
+            <h3 class="h5">${meal.name}</h3>
+            ${renderRatingBadge(rating)}
+          </div>
+          <p class="text-muted mb-2">${formatMealOrigin(meal)}</p>
+          <div class="mt-auto">
+            <a class="btn btn-outline-accent w-100" href="#/recipe/${meal.id}">
+              ${t("common.details")}
+            </a>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// Inizializza la vista ricettario personale
+async function initCookbookView({ signal } = {}) {
+  const user = getCurrentUser();
+  if (!user) {
+    redirectToLogin();
+    return;
+  }
+  const list = document.getElementById("cookbookList");
+  const badge = document.getElementById("cookbookCount");
+  const filterFields = {
+    category: document.getElementById("cookbookFilterCategory"),
+    area: document.getElementById("cookbookFilterArea"),
+    collection: document.getElementById("cookbookFilterCollection")
+  };
+  const sortField = document.getElementById("cookbookSort");
+  const collectionForm = document.getElementById("collectionForm");
+  const collectionList = document.getElementById("collectionList");
+  list.innerHTML = html`<p class="text-muted">${t("cookbook.loading")}</p>`;
+  // Per ogni entry nel ricettario (mealId, nota, data e raccolte) recuperiamo il dettaglio della ricetta
+  let recipes = await Promise.all(
+    (user.cookbook ?? []).map(async entry => {
+      const meal = await ensureMealInCacheOrNull(entry.mealId);
+      return { meal, entry };
+    })
+  );
+  if (signal?.aborted) return;
+  recipes = recipes.filter(item => item.meal);
+
+  // Le voci vengono rilette dall’utente salvato, così note e raccolte restano aggiornate
+  const getEntry = mealId =>
+    getCurrentUser()?.cookbook?.find(entry => entry.mealId === mealId) ?? { collections: [] };
+  const getCollections = () => getCurrentUser()?.collections ?? [];
+
+  // Ordinamenti disponibili nel select "cookbookSort"
+  const sorters = {
+    added: (a, b) =>
+      (getEntry(b.meal.id).addedAt ?? "").localeCompare(getEntry(a.meal.id).addedAt ?? ""),
+    name: (a, b) => a.meal.name.localeCompare(b.meal.name),
+    score: (a, b) =>
+      (getUserRecipeScore(user.id, b.meal.id) ?? 0) - (getUserRecipeScore(user.id, a.meal.id) ?? 0)
+  };
+
+  // Opzioni dei filtri: categorie e cucine presenti nel ricettario, raccolte dell’utente.
+  // Il valore scelto resta selezionato (se esiste ancora) quando le opzioni vengono rigenerate.
+  const renderFilters = () => {
+    const unique = values =>
+      [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    const options = {
+      category: unique(recipes.map(item => item.meal.category)).map(value => [value, value]),
+      area: unique(recipes.map(item => item.meal.area)).map(value => [value, value]),
+      collection: getCollections().map(collection => [collection.id, collection.name])
+    };
+    const placeholders = {
+      category: t("filters.allCategories"),
+      area: t("filters.allAreas"),
+      collection: t("cookbook.allCollections")
+    };
+    Object.entries(filterFields).forEach(([key, field]) => {
+      const selected = field.value;
+      field.innerHTML = html`
+        <option value="">${placeholders[key]}</option>
+        ${options[key].map(([value, label]) => html`<option value="${value}">${label}</option>`)}
+      `;
+      field.value = options[key].some(([value]) => value === selected) ? selected : "";
+    });
+    collectionList.innerHTML = html`${getCollections().map(
+      collection => html`
+        <span class="badge bg-accent d-inline-flex align-items-center gap-2">
+          ${collection.name}
+          <button
+            type="button"
+            class="btn-close btn-close-white"
+            aria-label="${t("cookbook.deleteCollection", { name: collection.name })}"
+            data-delete-collection="${collection.id}"
+          ></button>
+        </span>
+      `
+    )}`;
+  };
+
+  // Renderizziamo le card che passano i filtri (di nuovo dopo ogni modifica, senza riscaricare)
+  const renderList = () => {
+    const { category, area, collection } = Object.fromEntries(
+      Object.entries(filterFields).map(([key, field]) => [key, field.value])
+    );
+    const visible = recipes
+      .filter(
+        ({ meal }) =>
+          (!category || meal.category === category) &&
+          (!area || meal.area === area) &&
+          (!collection || getEntry(meal.id).collections?.includes(collection))
+      )
+      .sort(sorters[sortField.value] ?? sorters.added);
+    const filtered = Boolean(category || area || collection);
+    badge.textContent = filtered
+      ? t("cookbook.filteredCount", { visible: visible.length, count: recipes.length })
+      : t("common.recipeCount", { count: recipes.length });
+    if (recipes.length === 0) {
+      list.innerHTML = html`<p class="text-muted">${t("cookbook.empty")}</p>`;
+      return;
+    }
+    if (visible.length === 0) {
+      list.innerHTML = html`<p class="text-muted">${t("cookbook.noMatches")}</p>`;
+      return;
+    }
+    list.innerHTML = html`${visible.map(({ meal }) =>
+      renderCookbookCard(meal, getEntry(meal.id), getCollections())
+    )}`;
+  };
+  renderFilters();
+  renderList();
+
+  Object.values(filterFields).forEach(field => field.addEventListener("change", renderList));
+  sortField.addEventListener("change", renderList);
+
+  // Creazione ed eliminazione delle raccolte
+  collectionForm.addEventListener("submit", event => {
+    event.preventDefault();
+    const nameField = document.getElementById("collectionName");
+    const name = nameField.value.trim();
+    if (!name) return;
+    createCookbookCollection(name);
+    nameField.value = "";
+    renderFilters();
+    renderList();
+  });
+  collectionList.onclick = event => {
+    const collectionId = event.target.dataset.deleteCollection;
+    if (!collectionId) return;
+    if (!confirm(t("cookbook.deleteCollectionConfirm"))) return;
+    deleteCookbookCollection(collectionId);
+    renderFilters();
+    renderList();
+  };
+
+  // Gestione click (delegata) per i pulsanti “Rimuovi”
+  list.onclick = event => {
+    const target = event.target;
+    if (target.matches("[data-remove-meal]")) {
+      const mealId = target.dataset.removeMeal;
+      updateCookbook(mealId, false);
+      recipes = recipes.filter(item => item.meal.id !== mealId);
+      renderFilters();
+      renderList();
+    }
+  };
+
+  // Gestione cambio note private e raccolte per ogni ricetta
+  list.onchange = event => {
+    const target = event.target;
+    if (target.matches("[data-note-meal]")) {
+      const mealId = target.dataset.noteMeal;
+      updateCookbookNote(mealId, target.value);
+    }
+    if (target.matches("[data-collection-meal]")) {
+      updateCookbookCollection(
+        target.dataset.collectionMeal,
+        target.dataset.collectionId,
+        target.checked
+      );
+      // Con il filtro per raccolta attivo la ricetta può uscire dalla vista
+      if (filterFields.collection.value) renderList();
+    }
+  };
+}
+
+// Card di una singola ricetta nel ricettario con textarea per nota privata e raccolte
+function renderCookbookCard(meal, entry = {}, collections = []) {
+  const addedAt = entry.addedAt ? new Date(entry.addedAt) : null;
+  return html`
+    <div class="col-md-6">
+      <div class="card card-glow h-100">
+        <div class="row g-0 h-100">
+          <div class="col-md-4">
+            ${
+              meal.thumbnail &&
+              html`<img
+                src="${meal.thumbnail}"
+                class="img-fluid rounded-start h-100 object-fit-cover"
+                alt="${meal.name}"
+              />`
+            }
+          </div>
+          <div class="col-md-8">
+            <div class="card-body d-flex flex-column">
+              <h3 class="h5">${meal.name}</h3>
+              <p class="text-muted mb-2">
+                ${formatMealOrigin(meal)}
+                ${addedAt && html`<br /><small>${t("cookbook.addedAt", { date: formatDate(addedAt) })}</small>`}
+              </p>
+              <div class="mb-3">
+                <label class="form-label">${t("cookbook.note")}</label>
+                <textarea class="form-control" rows="2" data-note-meal="${meal.id}">
+${entry.note ?? ""}</textarea>
+              </div>
+              ${
+                collections.length > 0 &&
+                html`
+                  <div class="mb-3">
+                    <p class="form-label mb-1">${t("cookbook.collections")}</p>
+                    ${collections.map(
+                      collection => html`
+                        <div class="form-check form-check-inline">
+                          <input
+                            class="form-check-input"
+                            type="checkbox"
+                            id="collection-${meal.id}-${collection.id}"
+                            data-collection-meal="${meal.id}"
+                            data-collection-id="${collection.id}"
+                            ${entry.collections?.includes(collection.id) ? "checked" : ""}
+                          />
+                          <label
+                            class="form-check-label small"
+                            for="collection-${meal.id}-${collection.id}"
+                          >
+                            ${collection.name}
+                          </label>
+                        </div>
+                      `
+                    )}
+                  </div>
+                `
+              }
+              <div class="mt-auto d-flex gap-2">
+                <a class="btn btn-outline-accent" href="#/recipe/${meal.id}"
+                  >${t("common.details")}</a
+                >
+                <button class="btn btn-danger" data-remove-meal="${meal.id}">
+                  ${t("common.remove")}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// Inizializza la vista “Le mie recensioni”: tutte le preparazioni dell’utente, dalla più recente,
+// ognuna modificabile (con il form al posto della card) o eliminabile
+async function initReviewsView({ signal } = {}) {
+  const user = getCurrentUser();
+  if (!user) {
+    redirectToLogin();
+    return;
+  }
+  const reviewsContainer = document.getElementById("reviewsList");
+  const getOwnReviews = () =>
+    getReviews()
+      .filter(review => review.userId === user.id)
+      .sort((a, b) => b.dataPreparazione.localeCompare(a.dataPreparazione));
+  // Per ogni ricetta recensita recuperiamo una volta sola le info per le card
+  const recipeIds = [...new Set(getOwnReviews().map(review => review.recipeId))];
+  const meals = new Map(
+    await Promise.all(recipeIds.map(async id => [id, await ensureMealInCacheOrNull(id)]))
+  );
+  if (signal?.aborted) return;
+
+  // editingId: preparazione mostrata come form di modifica (una alla volta)
+  let editingId = null;
+  const renderList = () => {
+    const reviews = getOwnReviews();
+    if (reviews.length === 0) {
+      reviewsContainer.innerHTML = html`<p class="text-muted">${t("reviews.empty")}</p>`;
+      return;
+    }
+    reviewsContainer.innerHTML = html`${reviews.map(review =>
+      review.id === editingId
+        ? html`
+            <div class="col-md-6">
+              <div class="card card-glow h-100">
+                <div class="card-body">
+                  <h3 class="h5">${meals.get(review.recipeId)?.name ?? t("reviews.recipe")}</h3>
+                  ${renderReviewForm(review.recipeId, review)}
+                </div>
+              </div>
+            </div>
+          `
+        : renderReviewCard(review, meals.get(review.recipeId))
+    )}`;
+  };
+  renderList();
+
+  reviewsContainer.onclick = event => {
+    const { editReview, deleteReview } = event.target.dataset;
+    if (event.target.matches("[data-review-cancel]")) {
+      editingId = null;
+      renderList();
+    }
+    if (editReview) {
+      editingId = editReview;
+      renderList();
+      document.getElementById("reviewDate")?.focus();
+    }
+    if (deleteReview && confirm(t("reviews.deleteConfirm"))) {
+      deleteUserReview(deleteReview);
+      renderList();
+    }
+  };
+  reviewsContainer.onsubmit = event => {
+    event.preventDefault();
+    const form = event.target.closest("#reviewForm");
+    if (!form || !handleReviewSubmit(form.dataset.mealId, form)) return;
+    editingId = null;
+    renderList();
+  };
+}
+
+// Card singola di una preparazione nella pagina “Le mie recensioni”
+function renderReviewCard(review, meal) {
+  return html`
+    <div class="col-md-6">
+      <div class="card card-glow h-100">
+        <div class="card-body d-flex flex-column">
+          <h3 class="h5">${meal?.name ?? t("reviews.recipe")}</h3>
+          <p class="text-muted">
+            ${t("reviews.preparedOn", { date: formatDate(review.dataPreparazione) })}
+          </p>
+          <p class="mb-1">${t("reviews.difficulty")} <strong>${review.difficolta}/5</strong></p>
+          <p class="mb-1">${t("reviews.taste")} <strong>${review.gusto}/5</strong></p>
+          ${
+            review.modifiche &&
+            html`<p class="small mb-1">${t("reviews.changes")} ${review.modifiche}</p>`
+          }
+          <p class="small text-muted">${review.commento || t("reviews.noComment")}</p>
+          <div class="mt-auto d-flex flex-wrap gap-2">
+            <a class="btn btn-outline-accent" href="#/recipe/${review.recipeId}"
+              >${t("reviews.goToRecipe")}</a
+            >
+            <button class="btn btn-outline-accent" data-edit-review="${review.id}">
+              ${t("common.edit")}
+            </button>
+            <button class="btn btn-danger" data-delete-review="${review.id}">
+              ${t("common.delete")}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// Inizializza la lista della spesa: a sinistra le ricette del ricettario con le porzioni,
+// a destra gli ingredienti uniti e spuntabili. Scelte e spunte restano salvate sull’utente.
+async function initShoppingView({ signal } = {}) {
+  const user = getCurrentUser();
+  if (!user) {
+    redirectToLogin();
+    return;
+  }
+  const recipesList = document.getElementById("shoppingRecipes");
+  const itemsList = document.getElementById("shoppingItems");
+  const badge = document.getElementById("shoppingCount");
+  const exportBtn = document.getElementById("shoppingExportBtn");
+  const resetBtn = document.getElementById("shoppingResetBtn");
+  const extrasBox = document.getElementById("shoppingExtras");
+  const extrasList = document.getElementById("shoppingExtrasList");
+  recipesList.innerHTML = html`<p class="text-muted">${t("cookbook.loading")}</p>`;
+  const meals = await Promise.all(
+    (user.cookbook ?? []).map(entry => ensureMealInCacheOrNull(entry.mealId))
+  );
+  if (signal?.aborted) return;
+  const cookbookMeals = meals.filter(Boolean);
+
+  let { selection, checked, extras } = getShoppingState(user);
+  // Le ricette tolte dal ricettario escono anche dalla selezione
+  selection = selection.filter(entry => cookbookMeals.some(meal => meal.id === entry.mealId));
+  let items = [];
+
+  recipesList.innerHTML = html`${cookbookMeals.map(meal => {
+    const selected = selection.find(entry => entry.mealId === meal.id);
+    return html`
+      <li class="list-group-item d-flex align-items-center gap-3">
+        <input
+          class="form-check-input mt-0"
+          type="checkbox"
+          id="shoppingMeal-${meal.id}"
+          data-shopping-meal="${meal.id}"
+          ${selected ? "checked" : ""}
+        />
+        <label class="form-check-label flex-grow-1" for="shoppingMeal-${meal.id}">
+          ${meal.name}
+        </label>
+        <input
+          type="number"
+          class="form-control form-control-sm w-auto"
+          min="1"
+          max="${RECIPE_SERVINGS.MAX}"
+          value="${selected?.servings ?? RECIPE_SERVINGS.BASE}"
+          aria-label="${t("shopping.servingsFor", { name: meal.name })}"
+          data-shopping-servings="${meal.id}"
+        />
+      </li>
+    `;
+  })}`;
+  // Con il ricettario vuoto restano comunque gli ingredienti aggiunti dalla dispensa
+  if (cookbookMeals.length === 0) {
+    recipesList.innerHTML = html`<p class="text-muted">${t("shopping.emptyCookbook")}</p>`;
+  }
+
+  // Ricalcola la lista unita a partire dalla selezione corrente e dagli ingredienti aggiunti
+  // singolarmente, trattati come una ricetta in più già nelle porzioni di base
+  const renderItems = () => {
+    items = buildShoppingList([
+      ...selection.map(entry => ({
+        meal: cookbookMeals.find(meal => meal.id === entry.mealId),
+        servings: entry.servings
+      })),
+      { meal: { ingredients: extras }, servings: RECIPE_SERVINGS.BASE }
+    ]);
+    extrasBox.classList.toggle("d-none", extras.length === 0);
+    extrasList.innerHTML = html`${extras.map(
+      extra => html`<li>• ${extra.name}${extra.measure && ` – ${extra.measure}`}</li>`
+    )}`;
+    badge.textContent = t("common.ingredientCount", { count: items.length });
+    exportBtn.disabled = items.length === 0;
+    resetBtn.disabled = items.length === 0;
+    if (items.length === 0) {
+      itemsList.innerHTML = html`
+        <li class="list-group-item text-muted">${t("shopping.emptySelection")}</li>
+      `;
+      return;
+    }
+    itemsList.innerHTML = html`${items.map(
+      item => html`
+        <li class="list-group-item">
+          <label class="d-flex align-items-center gap-3">
+            <input
+              class="form-check-input mt-0"
+              type="checkbox"
+              data-shopping-item="${item.key}"
+              ${checked.includes(item.key) ? "checked" : ""}
+            />
+            <span
+              class="flex-grow-1 ${
+                checked.includes(item.key) ? "text-decoration-line-through text-muted" : ""
+              }"
+            >
+              ${item.name}
+            </span>
+            <span class="small text-muted text-end">${item.measure}</span>
+          </label>
+        </li>
+      `
+    )}`;
+  };
+  renderItems();
+
+  // Scelta delle ricette e delle porzioni (delegata sull’elenco)
+  recipesList.onchange = event => {
+    const mealId = event.target.dataset.shoppingMeal ?? event.target.dataset.shoppingServings;
+    if (!mealId) return;
+    const row = event.target.closest("li");
+    const servingsField = row.querySelector("[data-shopping-servings]");
+    const servings = Math.min(
+      RECIPE_SERVINGS.MAX,
+      Math.max(1, Math.round(Number(servingsField.value)) || RECIPE_SERVINGS.BASE)
+    );
+    servingsField.value = servings;
+    selection = selection.filter(entry => entry.mealId !== mealId);
+    if (row.querySelector("[data-shopping-meal]").checked) {
+      selection.push({ mealId, servings });
+    }
+    saveShoppingState({ selection });
+    renderItems();
+  };
+
+  // Spunta degli ingredienti già presi
+  itemsList.onchange = event => {
+    const key = event.target.dataset.shoppingItem;
+    if (!key) return;
+    checked = event.target.checked
+      ? [...checked, key]
+      : checked.filter(checkedKey => checkedKey !== key);
+    saveShoppingState({ checked });
+    renderItems();
+  };
+
+  document.getElementById("shoppingExtrasClearBtn").onclick = () => {
+    extras = [];
+    saveShoppingState({ extras });
+    renderItems();
+  };
+  exportBtn.onclick = () => downloadShoppingList(items, checked);
+  resetBtn.onclick = () => {
+    checked = [];
+    saveShoppingState({ checked });
+    renderItems();
+  };
+}
+
+// Inizializza la dispensa: elenco degli ingredienti dell’utente (con autocompletamento dai nomi
+// di TheMealDB) e ricerca “Cosa posso cucinare?” tra le ricette in cache e quelle scaricate
+async function initPantryView({ signal } = {}) {
+  const user = getCurrentUser();
+  if (!user) {
+    redirectToLogin();
+    return;
+  }
+  const form = document.getElementById("pantryForm");
+  const field = document.getElementById("pantryIngredient");
+  const list = document.getElementById("pantryList");
+  const badge = document.getElementById("pantryCount");
+  const clearBtn = document.getElementById("pantryClearBtn");
+  const matchBtn = document.getElementById("pantryMatchBtn");
+  const alertBox = document.getElementById("pantryAlert");
+  const results = document.getElementById("pantryResults");
+  let pantry = getPantry(user);
+  let matches = [];
+
+  const savePantry = () => {
+    persistUser({ ...getCurrentUser(), pantry });
+    renderPantry();
+  };
+  const renderPantry = () => {
+    badge.textContent = t("common.ingredientCount", { count: pantry.length });
+    clearBtn.disabled = pantry.length === 0;
+    matchBtn.disabled = pantry.length === 0;
+    list.innerHTML =
+      pantry.length === 0
+        ? html`<li class="list-group-item text-muted">${t("pantry.empty")}</li>`
+        : html`${pantry.map(
+            name => html`
+              <li class="list-group-item d-flex justify-content-between align-items-center">
+                ${name}
+                <button
+                  type="button"
+                  class="btn btn-sm btn-outline-accent"
+                  data-pantry-remove="${name}"
+                  aria-label="${t("pantry.remove", { name })}"
+                >
+                  ×
+                </button>
+              </li>
+            `
+          )}`;
+  };
+  renderPantry();
+
+  // Aggiunta: lo stesso ingrediente (anche al plurale o con un sinonimo) non viene ripetuto
+  form.addEventListener("submit", event => {
+    event.preventDefault();
+    const name = field.value.trim();
+    if (!name) return;
+    if (!pantry.some(item => getPantryKey(item) === getPantryKey(name))) {
+      pantry = [...pantry, name].sort((a, b) => a.localeCompare(b));
+      savePantry();
+    }
+    field.value = "";
+    field.focus();
+  });
+  list.addEventListener("click", event => {
+    const name = event.target.closest("[data-pantry-remove]")?.dataset.pantryRemove;
+    if (name === undefined) return;
+    pantry = pantry.filter(item => item !== name);
+    savePantry();
+  });
+  clearBtn.addEventListener("click", () => {
+    if (!confirm(t("pantry.clearConfirm"))) return;
+    pantry = [];
+    savePantry();
+  });
+
+  const renderMatches = () => {
+    results.innerHTML =
+      matches.length === 0
+        ? html`<p class="text-muted">${t("pantry.noMatches")}</p>`
+        : html`${matches.map(({ meal, total, covered, missing }) => {
+            const percent = Math.round((covered / total) * 100);
+            return html`
+              <div class="col-md-6">
+                <div class="card card-glow h-100">
+                  <div class="card-body d-flex flex-column">
+                    <div class="d-flex justify-content-between align-items-start gap-2">
+                      <h3 class="h5">${meal.name}</h3>
+                      <span class="badge bg-accent text-nowrap">${covered}/${total}</span>
+                    </div>
+                    <div
+                      class="progress mb-3"
+                      role="progressbar"
+                      aria-label="${t("pantry.available")}"
+                      aria-valuenow="${percent}"
+                      aria-valuemin="0"
+                      aria-valuemax="100"
+                    >
+                      <div class="progress-bar bg-accent" style="width: ${percent}%"></div>
+                    </div>
+                    <p class="small ${missing.length === 0 ? "text-accent" : "text-muted"}">
+                      ${
+                        missing.length === 0
+                          ? t("pantry.allAvailable")
+                          : t("pantry.missing", {
+                              items: missing.map(item => item.name).join(", ")
+                            })
+                      }
+                    </p>
+                    <div class="mt-auto d-flex flex-wrap gap-2">
+                      <a class="btn btn-outline-accent btn-sm" href="#/recipe/${meal.id}"
+                        >${t("common.details")}</a
+                      >
+                      ${
+                        missing.length > 0 &&
+                        html`<button
+                          type="button"
+                          class="btn btn-primary btn-sm"
+                          data-pantry-shop="${meal.id}"
+                        >
+                          ${t("pantry.addMissing")}
+                        </button>`
+                      }
+                    </div>
+                  </div>
+                </div>
+              </div>
+            `;
+          })}`;
+  };
+
+  // Ricerca: ricette in cache e ricette personali dell’utente, più quelle scaricate da TheMealDB
+  // per i primi ingredienti della dispensa (senza rete restano solo quelle locali)
+  matchBtn.addEventListener("click", async () => {
+    matchBtn.disabled = true;
+    alertBox.classList.add("d-none");
+    results.innerHTML = html`<p class="text-muted">${t("pantry.searching")}</p>`;
+    let reached;
+    try {
+      reached = await fetchPantryCandidates(pantry, { signal });
+    } catch (error) {
+      if (error.type === "aborted") return;
+      console.warn("Ricerca delle ricette per la dispensa non riuscita", error);
+      reached = false;
+    }
+    if (signal?.aborted) return;
+    const ownRecipes = Object.values(getPersonalRecipes()).filter(
+      recipe => recipe.ownerId === user.id
+    );
+    matches = rankMealsByPantry([...Object.values(getMealsCache()), ...ownRecipes], pantry);
+    if (!reached) {
+      showAlert(alertBox, t("pantry.offline"), "warning");
+    }
+    renderMatches();
+    matchBtn.disabled = false;
+  });
+  // Invio degli ingredienti mancanti di una ricetta alla lista della spesa
+  results.addEventListener("click", event => {
+    const button = event.target.closest("[data-pantry-shop]");
+    if (!button) return;
+    const match = matches.find(item => item.meal.id === button.dataset.pantryShop);
+    const added = addMissingToShopping(match.meal, match.missing);
+    button.disabled = true;
+    button.textContent = t("pantry.inShopping");
+    showAlert(
+      alertBox,
+      added > 0
+        ? t("pantry.addedToShopping", { count: added, name: match.meal.name })
+        : t("pantry.alreadyInShopping", { name: match.meal.name }),
+      "success"
+    );
+  });
+
+  // Suggerimenti per il campo di aggiunta: nomi degli ingredienti di TheMealDB
+  const lists = await getFilterLists();
+  if (signal?.aborted) return;
+  document.getElementById("pantryIngredientOptions").innerHTML = html`${(
+    lists.ingredients ?? []
+  ).map(name => html`<option value="${name}"></option>`)}`;
+}
+
+// Inizializza la vista di dettaglio ricetta: info ricetta + ricettario + recensioni
+async function initRecipeDetailView({ params = {}, query = {}, signal } = {}) {
+  const mealId = params.id;
+  const wrapper = document.getElementById("recipeDetail");
+  if (!mealId || !wrapper) {
+    wrapper.innerHTML = html`<p class="text-danger">${t("recipe.notFound")}</p>`;
+    return;
+  }
+  wrapper.innerHTML = html`<p class="text-muted">${t("recipe.loading")}</p>`;
+  // Ci assicuriamo che la ricetta sia in cache (altrimenti la carichiamo ora)
+  let meal;
+  try {
+    meal = await ensureMealInCache(mealId, { signal });
+  } catch (error) {
+    if (error.type === "aborted") return;
+    wrapper.innerHTML = html`<p class="text-danger">${describeApiError(error)}</p>`;
+    return;
+  }
+  // L’utente ha già lasciato la pagina mentre la ricetta veniva scaricata
+  if (signal?.aborted) return;
+  if (!meal) {
+    wrapper.innerHTML = html`<p class="text-danger">${t("recipe.notFound")}</p>`;
+    return;
+  }
+  const user = getCurrentUser();
+  let inCookbook = user?.cookbook?.some(entry => entry.mealId === meal.id);
+  const currentNote = user?.cookbook?.find(entry => entry.mealId === meal.id)?.note ?? "";
+  // Ricetta personale: ne mostriamo l’autore e, solo a lui, i comandi di modifica/eliminazione
+  const author = meal.ownerId ? getUsers().find(u => u.id === meal.ownerId) : null;
+  const isOwner = Boolean(user && meal.ownerId === user.id);
+  // Porzioni e sistema di misura con cui mostrare gli ingredienti
+  let servings = RECIPE_SERVINGS.BASE;
+  let unitSystem = getUnitSystem(user);
+
+  // Costruiamo dinamicamente il layout a due colonne:
+  // - sinistra: dettaglio ricetta
+  // - destra: ricettario + recensioni
+  wrapper.innerHTML = html`
+    <div class="col-lg-7">
+      <div class="card card-glow mb-4">
+        ${meal.thumbnail && html`<img src="${meal.thumbnail}" class="card-img-top" alt="${meal.name}" />`}
+        <div class="card-body">
+          <p class="text-uppercase text-accent mb-1">${formatMealOrigin(meal)}</p>
+          <h1 class="h3 mb-3">${meal.name}</h1>
+          ${
+            meal.ownerId &&
+            html`<p class="small text-muted">
+              ${t("recipe.personalBy", { author: author?.username ?? t("recipe.unknownAuthor") })}
+            </p>`
+          }
+          ${
+            isOwner &&
+            html`
+              <div class="d-flex gap-2 mb-3">
+                <a class="btn btn-outline-accent btn-sm" href="#/recipe/${meal.id}/edit"
+                  >${t("common.edit")}</a
+                >
+                <button class="btn btn-danger btn-sm" id="recipeDeleteBtn">
+                  ${t("recipe.delete")}
+                </button>
+              </div>
+            `
+          }
+          <div class="mb-3">
+            <div class="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-2">
+              <h2 class="h6 text-uppercase mb-0">${t("common.ingredients")}</h2>
+              <div class="d-flex flex-wrap align-items-center gap-2">
+                <div class="input-group input-group-sm w-auto">
+                  <button class="btn btn-outline-accent" type="button" data-servings-step="-1">
+                    −
+                  </button>
+                  <input
+                    type="number"
+                    class="form-control text-center"
+                    id="recipeServings"
+                    min="1"
+                    max="${RECIPE_SERVINGS.MAX}"
+                    value="${RECIPE_SERVINGS.BASE}"
+                    aria-label="${t("recipe.servings")}"
+                  />
+                  <button class="btn btn-outline-accent" type="button" data-servings-step="1">
+                    +
+                  </button>
+                  <span class="input-group-text">${t("recipe.servingsUnit")}</span>
+                </div>
+                <div
+                  class="btn-group btn-group-sm"
+                  role="group"
+                  aria-label="${t("recipe.unitSystem")}"
+                >
+                  ${Object.entries({
+                    metric: t("recipe.metric"),
+                    imperial: t("recipe.imperial")
+                  }).map(
+                    ([system, label]) => html`
+                      <input
+                        type="radio"
+                        class="btn-check"
+                        name="unitSystem"
+                        id="unitSystem-${system}"
+                        value="${system}"
+                        ${unitSystem === system ? "checked" : ""}
+                      />
+                      <label class="btn btn-outline-accent" for="unitSystem-${system}">
+                        ${label}
+                      </label>
+                    `
+                  )}
+                </div>
+              </div>
+            </div>
+            <ul class="list-unstyled small" id="recipeIngredientsList"></ul>
+          </div>
+          <div>
+            <div class="d-flex justify-content-between align-items-center gap-2 mb-2">
+              <h2 class="h6 text-uppercase mb-0">${t("recipe.instructions")}</h2>
+              <a
+                class="btn btn-primary btn-sm"
+                id="cookingModeLink"
+                href="${buildRouteHash(`#/recipe/${meal.id}/cook`, { servings })}"
+                >${t("cooking.title")}</a
+              >
+            </div>
+            <ol class="ps-3">
+              ${getInstructionSteps(meal).map(step => html`<li class="mb-2">${step}</li>`)}
+            </ol>
+          </div>
+        </div>
+      </div>
+    </div>
+    <div class="col-lg-5">
+      <div class="card card-glow mb-4">
+        <div class="card-body">
+          <h2 class="h5 mb-3">${t("recipe.cookbookTitle")}</h2>
+          ${
+            user
+              ? html`
+                  <button class="btn btn-primary w-100 mb-3" id="cookbookToggleBtn">
+                    ${inCookbook ? t("recipe.removeFromCookbook") : t("recipe.addToCookbook")}
+                  </button>
+                  <label for="cookbookNote" class="form-label">${t("cookbook.note")}</label>
+                  <textarea
+                    class="form-control"
+                    id="cookbookNote"
+                    rows="3"
+                    ${inCookbook ? "" : "disabled"}
+                  >
+${currentNote}</textarea>
+                `
+              : html`<p class="text-muted">${t("recipe.loginToSave")}</p>`
+          }
+        </div>
+      </div>
+      <div class="card card-glow">
+        <div class="card-body">
+          <h2 class="h5 mb-3">${t("nav.reviews")}</h2>
+          <div id="reviewsSummary"></div>
+          <div id="reviewsTimeline"></div>
+          <div id="reviewsContainer"></div>
+          ${
+            user
+              ? renderReviewForm(meal.id)
+              : html`<p class="text-muted">${t("recipe.loginToReview")}</p>`
+          }
+        </div>
+      </div>
+    </div>
+  `;
+
+  // Ingredienti riscritti per porzioni e sistema di misura correnti
+  const ingredientsList = document.getElementById("recipeIngredientsList");
+  const servingsField = document.getElementById("recipeServings");
+  const renderIngredients = () => {
+    const options = { scale: servings / RECIPE_SERVINGS.BASE, system: unitSystem };
+    ingredientsList.innerHTML = html`${meal.ingredients.map(
+      item => html`<li>• ${formatMeasure(item.measure, options)} ${item.name}</li>`
+    )}`;
+  };
+  const setServings = value => {
+    servings = Math.min(RECIPE_SERVINGS.MAX, Math.max(1, Math.round(value) || servings));
+    servingsField.value = servings;
+    // La modalità cucina mostra gli ingredienti per le stesse porzioni
+    document.getElementById("cookingModeLink").href = buildRouteHash(`#/recipe/${meal.id}/cook`, {
+      servings
+    });
+    renderIngredients();
+  };
+  renderIngredients();
+  servingsField.addEventListener("change", () => setServings(Number(servingsField.value)));
+  wrapper.querySelectorAll("[data-servings-step]").forEach(button => {
+    button.addEventListener("click", () =>
+      setServings(servings + Number(button.dataset.servingsStep))
+    );
+  });
+  // Il sistema di misura scelto diventa la preferenza del profilo
+  wrapper.querySelectorAll('input[name="unitSystem"]').forEach(radio => {
+    radio.addEventListener("change", () => {
+      unitSystem = radio.value;
+      renderIngredients();
+      const current = getCurrentUser();
+      if (current) persistUser({ ...current, unitSystem });
+    });
+  });
+
+  // Eliminazione della ricetta personale (solo per l’autore)
+  document.getElementById("recipeDeleteBtn")?.addEventListener("click", () => {
+    if (!confirm(t("recipe.deleteConfirm"))) {
+      return;
+    }
+    deletePersonalRecipe(meal.id);
+    window.location.hash = "#/cookbook";
+  });
+
+  // Se l’utente è loggato, colleghiamo i vari handler (ricettario e recensioni)
+  if (user) {
+    // Pulsante per aggiungere/rimuovere la ricetta dal ricettario:
+    // aggiorniamo solo il pulsante e la nota, senza ricaricare la vista
+    const toggleBtn = document.getElementById("cookbookToggleBtn");
+    const noteField = document.getElementById("cookbookNote");
+    toggleBtn.addEventListener("click", () => {
+      inCookbook = !inCookbook;
+      updateCookbook(meal.id, inCookbook);
+      toggleBtn.textContent = inCookbook
+        ? t("recipe.removeFromCookbook")
+        : t("recipe.addToCookbook");
+      noteField.disabled = !inCookbook;
+      if (!inCookbook) noteField.value = "";
+    });
+    // Gestione nota privata
+    noteField?.addEventListener("change", () => {
+      updateCookbookNote(meal.id, noteField.value);
+    });
+    // Gestione form recensione: ogni invio registra una nuova preparazione nel diario
+    const reviewForm = document.getElementById("reviewForm");
+    reviewForm?.addEventListener("submit", event => {
+      event.preventDefault();
+      if (!handleReviewSubmit(meal.id, reviewForm)) return;
+      reviewForm.reset();
+      renderReviewsList(meal.id);
+    });
+    // Arrivando dal planner ("Cucinato") la data di preparazione è quella del pasto pianificato
+    if (parseDateKey(query.review)) {
+      reviewForm.querySelector("#reviewDate").value = query.review;
+      reviewForm.scrollIntoView({ block: "center" });
+      reviewForm.querySelector("#reviewDifficulty").focus({ preventScroll: true });
+    }
+  }
+  // In ogni caso, mostriamo la lista delle recensioni esistenti
+  renderReviewsList(meal.id);
+}
+
+// Inizializza la modalità cucina ("#/recipe/<id>/cook?servings=N"): un passaggio alla volta,
+// timer avviati dalle durate del testo e checklist degli ingredienti scalati sulle porzioni.
+// Timer, wake lock e listener globali vivono in appState.cookingSession e vengono
+// rilasciati da leaveCookingView() quando si esce dalla vista.
+async function initCookingView({ params = {}, query = {}, signal } = {}) {
+  const stepText = document.getElementById("cookingStep");
+  let meal;
+  try {
+    meal = await ensureMealInCache(params.id, { signal });
+  } catch (error) {
+    if (error.type === "aborted") return;
+    stepText.textContent = describeApiError(error);
+    return;
+  }
+  if (signal?.aborted) return;
+  if (!meal) {
+    stepText.textContent = t("recipe.notFound");
+    return;
+  }
+  const user = getCurrentUser();
+  const steps = getInstructionSteps(meal);
+  const servings = Math.min(
+    RECIPE_SERVINGS.MAX,
+    Math.max(1, Math.round(Number(query.servings)) || RECIPE_SERVINGS.BASE)
+  );
+  const detailHash = `#/recipe/${meal.id}`;
+  const session = { timers: [], interval: null, wakeLock: null, listeners: [] };
+  appState.cookingSession = session;
+  document.body.classList.add("overflow-hidden");
+  let current = 0;
+
+  document.getElementById("cookingTitle").textContent = meal.name;
+  document.getElementById("cookingClose").href = detailHash;
+
+  // Checklist degli ingredienti (spuntati = già preparati/usati)
+  const options = { scale: servings / RECIPE_SERVINGS.BASE, system: getUnitSystem(user) };
+  document.getElementById("cookingIngredientsTitle").textContent = t("cooking.ingredients", {
+    count: servings
+  });
+  const ingredientsList = document.getElementById("cookingIngredients");
+  ingredientsList.innerHTML = html`${meal.ingredients.map(
+    item => html`
+      <li class="list-group-item">
+        <label class="d-flex align-items-center gap-3">
+          <input class="form-check-input mt-0" type="checkbox" />
+          <span class="flex-grow-1">${item.name}</span>
+          <span class="small text-muted text-end">${formatMeasure(item.measure, options)}</span>
+        </label>
+      </li>
+    `
+  )}`;
+  ingredientsList.addEventListener("change", event => {
+    const name = event.target.closest("label").querySelector("span");
+    name.classList.toggle("text-decoration-line-through", event.target.checked);
+    name.classList.toggle("text-muted", event.target.checked);
+  });
+
+  // Passaggio corrente; dopo l’ultimo si torna al dettaglio (con il form del diario
+  // già datato a oggi, se l’utente è loggato)
+  const prevBtn = document.getElementById("cookingPrev");
+  const nextBtn = document.getElementById("cookingNext");
+  const renderStep = () => {
+    const percent = Math.round(((current + 1) / steps.length) * 100);
+    document.getElementById("cookingStepCounter").textContent = t("cooking.stepOf", {
+      step: current + 1,
+      total: steps.length
+    });
+    stepText.innerHTML = renderStepWithTimers(steps[current]);
+    document.getElementById("cookingProgressBar").style.width = `${percent}%`;
+    document.getElementById("cookingProgress").setAttribute("aria-valuenow", percent);
+    prevBtn.disabled = current === 0;
+    nextBtn.textContent = current === steps.length - 1 ? t("cooking.finish") : t("cooking.next");
+  };
+  const goToStep = index => {
+    if (index >= steps.length) {
+      window.location.hash = user
+        ? buildRouteHash(detailHash, { review: toDateKey(new Date()) })
+        : detailHash;
+      return;
+    }
+    current = Math.max(0, index);
+    renderStep();
+  };
+  prevBtn.addEventListener("click", () => goToStep(current - 1));
+  nextBtn.addEventListener("click", () => goToStep(current + 1));
+
+  // Timer: ognuno conserva la scadenza (o il tempo residuo se in pausa), così più timer
+  // avanzano insieme e restano precisi anche se il tick del browser rallenta
+  const timersBox = document.getElementById("cookingTimers");
+  const remainingOf = timer =>
+    timer.endsAt ? Math.max(0, Math.ceil((timer.endsAt - Date.now()) / 1000)) : timer.remaining;
+  const renderTimers = () => {
+    timersBox.innerHTML = html`${session.timers.map(timer => {
+      const done = remainingOf(timer) === 0;
+      return html`
+        <div
+          class="card card-glow cooking-timer ${done ? "cooking-timer-done" : ""}"
+          data-timer-id="${timer.id}"
+        >
+          <div class="card-body py-2 d-flex align-items-center gap-3">
+            <div>
+              <p class="small text-muted mb-0">
+                ${t("cooking.timerStep", { step: timer.step, label: timer.label })}
+              </p>
+              ${
+                done
+                  ? html`<p class="h4 mb-0" role="alert">${t("cooking.timeUp")}</p>`
+                  : html`<p class="h4 mb-0" data-timer-clock>
+                      ${formatTimerClock(remainingOf(timer))}
+                    </p>`
+              }
+            </div>
+            ${
+              !done &&
+              html`<button
+                type="button"
+                class="btn btn-outline-accent btn-sm"
+                data-timer-action="toggle"
+              >
+                ${timer.endsAt ? t("cooking.pause") : t("cooking.resume")}
+              </button>`
+            }
+            <button type="button" class="btn btn-outline-accent btn-sm" data-timer-action="remove">
+              ${done ? t("cooking.dismiss") : t("common.cancel")}
+            </button>
+          </div>
+        </div>
+      `;
+    })}`;
+  };
+  stepText.addEventListener("click", event => {
+    const button = event.target.closest("[data-timer-seconds]");
+    if (!button) return;
+    const seconds = Number(button.dataset.timerSeconds);
+    session.timers.push({
+      id: generateId("timer"),
+      label: button.dataset.timerLabel,
+      step: current + 1,
+      endsAt: Date.now() + seconds * 1000,
+      remaining: seconds,
+      notified: false
+    });
+    renderTimers();
+  });
+  timersBox.addEventListener("click", event => {
+    const button = event.target.closest("[data-timer-action]");
+    if (!button) return;
+    const timer = session.timers.find(
+      item => item.id === button.closest("[data-timer-id]").dataset.timerId
+    );
+    if (button.dataset.timerAction === "remove") {
+      session.timers = session.timers.filter(item => item !== timer);
+    } else if (timer.endsAt) {
+      timer.remaining = remainingOf(timer);
+      timer.endsAt = null;
+    } else {
+      timer.endsAt = Date.now() + timer.remaining * 1000;
+    }
+    renderTimers();
+  });
+  // Ogni secondo si aggiornano i tempi; un timer appena scaduto avvisa una sola volta
+  session.interval = setInterval(() => {
+    const expired = session.timers.filter(timer => !timer.notified && remainingOf(timer) === 0);
+    expired.forEach(timer => {
+      timer.notified = true;
+    });
+    if (expired.length > 0) {
+      notifyTimerDone();
+      renderTimers();
+      return;
+    }
+    timersBox.querySelectorAll("[data-timer-id]").forEach(element => {
+      const timer = session.timers.find(item => item.id === element.dataset.timerId);
+      if (timer?.endsAt) {
+        element.querySelector("[data-timer-clock]").textContent = formatTimerClock(
+          remainingOf(timer)
+        );
+      }
+    });
+  }, 1000);
+
+  // Swipe orizzontale sul passaggio: verso sinistra avanti, verso destra indietro
+  const stepCard = document.getElementById("cookingStepCard");
+  let touchStart = null;
+  stepCard.addEventListener("touchstart", event => {
+    const touch = event.changedTouches[0];
+    touchStart = { x: touch.clientX, y: touch.clientY };
+  });
+  stepCard.addEventListener("touchend", event => {
+    if (!touchStart) return;
+    const touch = event.changedTouches[0];
+    const dx = touch.clientX - touchStart.x;
+    const dy = touch.clientY - touchStart.y;
+    touchStart = null;
+    if (Math.abs(dx) < COOKING_MODE.SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return;
+    goToStep(current + (dx < 0 ? 1 : -1));
+  });
+
+  // Listener globali (tastiera e ritorno della scheda in primo piano), rimossi all’uscita
+  const onKeydown = event => {
+    if (event.altKey || event.ctrlKey || event.metaKey) return;
+    if (event.key === "ArrowRight") goToStep(current + 1);
+    else if (event.key === "ArrowLeft") goToStep(current - 1);
+    else if (event.key === "Escape") window.location.hash = detailHash;
+  };
+  const onVisibilityChange = () => {
+    if (document.visibilityState === "visible") requestCookingWakeLock();
+  };
+  session.listeners = [
+    ["keydown", onKeydown],
+    ["visibilitychange", onVisibilityChange]
+  ];
+  session.listeners.forEach(([type, listener]) => document.addEventListener(type, listener));
+
+  renderStep();
+  requestCookingWakeLock();
+}
+
+// Chiude la modalità cucina: ferma i timer, rilascia il wake lock e rimuove i listener globali
+function leaveCookingView() {
+  const session = appState.cookingSession;
+  appState.cookingSession = null;
+  document.body.classList.remove("overflow-hidden");
+  if (!session) return;
+  clearInterval(session.interval);
+  session.wakeLock?.release();
+  session.listeners.forEach(([type, listener]) => document.removeEventListener(type, listener));
+}
+
+// Inizializza il planner settimanale ("#/planner?week=AAAA-MM-GG", lunedì della settimana).
+// I pasti si riempiono trascinando una ricetta (dal ricettario, dall’ultima ricerca o da un
+// altro pasto) oppure scegliendola dal menu a tendina del pasto vuoto.
+async function initPlannerView({ query = {}, signal } = {}) {
+  const user = getCurrentUser();
+  if (!user) {
+    redirectToLogin();
+    return;
+  }
+  const grid = document.getElementById("plannerGrid");
+  const sources = document.getElementById("plannerSources");
+  const weekStart = getWeekStart(parseDateKey(query.week) ?? new Date());
+  const days = Array.from({ length: 7 }, (_, offset) => addDays(weekStart, offset));
+  const formatDay = date => formatDate(date, { weekday: "long", day: "numeric", month: "short" });
+
+  // Intestazione e navigazione tra le settimane (link con la settimana nella query string)
+  document.getElementById("plannerWeekLabel").textContent =
+    `${formatDay(days[0])} – ${formatDay(days[6])}`;
+  const weekHash = date => buildRouteHash("#/planner", { week: toDateKey(date) });
+  document.getElementById("plannerPrevWeek").href = weekHash(addDays(weekStart, -7));
+  document.getElementById("plannerNextWeek").href = weekHash(addDays(weekStart, 7));
+  document.getElementById("plannerThisWeek").href = weekHash(getWeekStart(new Date()));
+
+  // Ricette disponibili: ricettario, risultati visibili dell’ultima ricerca e pasti già pianificati
+  grid.innerHTML = html`<p class="text-muted">${t("planner.loading")}</p>`;
+  const weekMealIds = days.flatMap(day => Object.values(user.planner?.[toDateKey(day)] ?? {}));
+  const [cookbookMeals, plannedMeals] = await Promise.all([
+    Promise.all((user.cookbook ?? []).map(entry => ensureMealInCacheOrNull(entry.mealId))),
+    Promise.all([...new Set(weekMealIds)].map(id => ensureMealInCacheOrNull(id)))
+  ]);
+  if (signal?.aborted) return;
+  const results = appState.searchResults;
+  const searchMeals = results.ids
+    .slice(0, results.visible)
+    .map(id => results.meals[id])
+    .filter(Boolean);
+  const meals = new Map(
+    [...plannedMeals, ...cookbookMeals, ...searchMeals].filter(Boolean).map(meal => [meal.id, meal])
+  );
+  const groups = [
+    { label: t("planner.fromCookbook"), meals: cookbookMeals.filter(Boolean) },
+    { label: t("planner.fromSearch"), meals: searchMeals }
+  ].filter(group => group.meals.length > 0);
+
+  sources.innerHTML =
+    groups.length === 0
+      ? html`<p class="text-muted small">${t("planner.noSources")}</p>`
+      : html`${groups.map(
+          group => html`
+            <h3 class="h6 text-uppercase mt-3">${group.label}</h3>
+            <ul class="list-group list-group-flush small">
+              ${group.meals.map(
+                meal => html`
+                  <li
+                    class="list-group-item planner-source"
+                    draggable="true"
+                    data-plan-meal="${meal.id}"
+                  >
+                    ${meal.name}
+                  </li>
+                `
+              )}
+            </ul>
+          `
+        )}`;
+
+  // Menu a tendina dei pasti vuoti: stesse ricette della colonna laterale
+  const pickerOptions = html`${groups.map(
+    group => html`
+      <optgroup label="${group.label}">
+        ${group.meals.map(meal => html`<option value="${meal.id}">${meal.name}</option>`)}
+      </optgroup>
+    `
+  )}`;
+
+  const renderSlot = (dateKey, slot, mealId) => {
+    const meal = mealId ? meals.get(mealId) : null;
+    if (!mealId) {
+      return html`
+        <select
+          class="form-select form-select-sm"
+          data-plan-picker
+          aria-label="${t("planner.pick")}"
+        >
+          <option value="">${t("planner.add")}</option>
+          ${pickerOptions}
+        </select>
+      `;
+    }
+    return html`
+      <a
+        href="#/recipe/${mealId}"
+        class="d-block mb-2"
+        draggable="true"
+        data-plan-meal="${mealId}"
+        data-plan-from="${dateKey}|${slot}"
+      >
+        ${meal?.name ?? t("planner.unavailable")}
+      </a>
+      <div class="d-flex gap-1">
+        <a
+          class="btn btn-outline-accent btn-sm"
+          href="${buildRouteHash(`#/recipe/${mealId}`, { review: dateKey })}"
+          title="${t("planner.cookedHint")}"
+        >
+          ${t("planner.cooked")}
+        </a>
+        <button
+          type="button"
+          class="btn btn-outline-accent btn-sm"
+          data-plan-clear
+          aria-label="${t("planner.clear")}"
+        >
+          ×
+        </button>
+      </div>
+    `;
+  };
+
+  const renderGrid = () => {
+    const planner = getCurrentUser()?.planner ?? {};
+    const today = toDateKey(new Date());
+    grid.innerHTML = html`
+      <table class="table table-dark table-bordered align-middle planner-table mb-0">
+        <thead>
+          <tr>
+            <th scope="col">${t("planner.day")}</th>
+            ${PLANNER_SLOTS.map(slot => html`<th scope="col">${t(`planner.slots.${slot}`)}</th>`)}
+          </tr>
+        </thead>
+        <tbody>
+          ${days.map(day => {
+            const dateKey = toDateKey(day);
+            return html`
+              <tr class="${dateKey === today ? "planner-today" : ""}">
+                <th scope="row" class="text-capitalize">${formatDay(day)}</th>
+                ${PLANNER_SLOTS.map(
+                  slot => html`
+                    <td class="planner-slot" data-plan-date="${dateKey}" data-plan-slot="${slot}">
+                      ${renderSlot(dateKey, slot, planner[dateKey]?.[slot])}
+                    </td>
+                  `
+                )}
+              </tr>
+            `;
+          })}
+        </tbody>
+      </table>
+    `;
+  };
+  renderGrid();
+
+  const getSlot = element => element.closest("[data-plan-slot]");
+  grid.onchange = event => {
+    if (!event.target.matches("[data-plan-picker]") || !event.target.value) return;
+    const cell = getSlot(event.target);
+    updatePlannerSlot(cell.dataset.planDate, cell.dataset.planSlot, event.target.value);
+    renderGrid();
+  };
+  grid.onclick = event => {
+    if (!event.target.matches("[data-plan-clear]")) return;
+    const cell = getSlot(event.target);
+    updatePlannerSlot(cell.dataset.planDate, cell.dataset.planSlot, null);
+    renderGrid();
+  };
+
+  // Drag & drop: da una ricetta della colonna laterale (copia) o da un altro pasto (spostamento)
+  const onDragStart = event => {
+    const item = event.target.closest?.("[data-plan-meal]");
+    if (!item) return;
+    event.dataTransfer.setData(
+      "text/plain",
+      JSON.stringify({ mealId: item.dataset.planMeal, from: item.dataset.planFrom ?? null })
+    );
+    event.dataTransfer.effectAllowed = item.dataset.planFrom ? "move" : "copy";
+  };
+  sources.ondragstart = onDragStart;
+  grid.ondragstart = onDragStart;
+  grid.ondragover = event => {
+    const cell = getSlot(event.target);
+    if (!cell) return;
+    event.preventDefault();
+    cell.classList.add("is-drop-target");
+  };
+  grid.ondragleave = event => {
+    getSlot(event.target)?.classList.remove("is-drop-target");
+  };
+  grid.ondrop = event => {
+    const cell = getSlot(event.target);
+    if (!cell) return;
+    event.preventDefault();
+    let data;
+    try {
+      data = JSON.parse(event.dataTransfer.getData("text/plain"));
+    } catch {
+      return;
+    }
+    if (!data?.mealId) return;
+    if (data.from) {
+      const [fromDate, fromSlot] = data.from.split("|");
+      updatePlannerSlot(fromDate, fromSlot, null);
+    }
+    updatePlannerSlot(cell.dataset.planDate, cell.dataset.planSlot, data.mealId);
+    renderGrid();
+  };
+
+  // Copia della settimana precedente: chiede conferma se sovrascrive pasti già pianificati
+  document.getElementById("plannerCopyBtn").onclick = async () => {
+    const planner = getCurrentUser()?.planner ?? {};
+    const hasMeals = days.some(day => planner[toDateKey(day)]);
+    if (hasMeals && !confirm(t("planner.copyConfirm"))) {
+      return;
+    }
+    copyPreviousPlannerWeek(weekStart);
+    const copiedIds = days.flatMap(day =>
+      Object.values(getCurrentUser()?.planner?.[toDateKey(day)] ?? {})
+    );
+    const copied = await Promise.all(
+      copiedIds.filter(id => !meals.has(id)).map(id => ensureMealInCacheOrNull(id))
+    );
+    if (signal?.aborted) return;
+    copied.filter(Boolean).forEach(meal => meals.set(meal.id, meal));
+    renderGrid();
+  };
+}
+
+// Inizializza il form delle ricette personali: "#/recipe/new" crea, "#/recipe/<id>/edit" modifica.
+// Solo l’autore può modificare una ricetta; al salvataggio si apre il dettaglio della ricetta.
+async function initRecipeFormView({ params = {}, signal } = {}) {
+  const user = getCurrentUser();
+  if (!user) {
+    redirectToLogin();
+    return;
+  }
+  const form = document.getElementById("recipeForm");
+  const alertBox = document.getElementById("recipeFormAlert");
+  const ingredientsList = document.getElementById("recipeIngredients");
+  const preview = document.getElementById("recipeThumbnailPreview");
+  const urlField = document.getElementById("recipeThumbnailUrl");
+  const fileField = document.getElementById("recipeThumbnailFile");
+  const existing = params.id ? getPersonalRecipes()[params.id] : null;
+  if (params.id && existing?.ownerId !== user.id) {
+    form.closest(".card-body").innerHTML = html`
+      <p class="text-danger mb-0">${t("recipeForm.notEditable")}</p>
+    `;
+    return;
+  }
+
+  // Una riga del form per ogni ingrediente (nome + quantità)
+  const addIngredientRow = (item = { name: "", measure: "" }) => {
+    ingredientsList.insertAdjacentHTML(
+      "beforeend",
+      html`
+        <div class="row g-2 mb-2" data-ingredient-row>
+          <div class="col-6">
+            <input
+              type="text"
+              class="form-control"
+              placeholder="${t("recipeForm.ingredient")}"
+              data-ingredient-name
+              value="${item.name}"
+            />
+          </div>
+          <div class="col-4">
+            <input
+              type="text"
+              class="form-control"
+              placeholder="${t("recipeForm.measure")}"
+              data-ingredient-measure
+              value="${item.measure}"
+            />
+          </div>
+          <div class="col-2">
+            <button
+              type="button"
+              class="btn btn-outline-accent w-100"
+              data-remove-ingredient
+              aria-label="${t("recipeForm.removeIngredient")}"
+            >
+              ×
+            </button>
+          </div>
+        </div>
+      `
+    );
+  };
+  ingredientsList.addEventListener("click", event => {
+    if (event.target.matches("[data-remove-ingredient]")) {
+      event.target.closest("[data-ingredient-row]").remove();
+    }
+  });
+  document
+    .getElementById("recipeAddIngredient")
+    .addEventListener("click", () => addIngredientRow());
+
+  // Anteprima e valore dell’immagine: il file caricato (già ridimensionato) ha la precedenza sull’URL
+  let uploadedThumbnail = null;
+  const showPreview = src => {
+    preview.src = src;
+    preview.classList.toggle("d-none", !src);
+  };
+  urlField.addEventListener("change", () => {
+    if (!uploadedThumbnail) showPreview(urlField.value.trim());
+  });
+  fileField.addEventListener("change", async () => {
+    const file = fileField.files?.[0];
+    if (!file) return;
+    try {
+      uploadedThumbnail = await readImageFile(file);
+      showPreview(uploadedThumbnail);
+    } catch (error) {
+      fileField.value = "";
+      showAlert(alertBox, error.message);
+    }
+  });
+
+  // Precompiliamo il form in modifica; in creazione partiamo con tre righe ingredienti vuote
+  if (existing) {
+    document.getElementById("recipeFormTitle").textContent = t("recipeForm.editTitle");
+    document.getElementById("recipeFormCancel").href = `#/recipe/${existing.id}`;
+    document.getElementById("recipeName").value = existing.name;
+    document.getElementById("recipeCategory").value = existing.category;
+    document.getElementById("recipeArea").value = existing.area;
+    document.getElementById("recipeTags").value = existing.tags.join(", ");
+    document.getElementById("recipeInstructions").value = existing.instructions;
+    if (existing.thumbnail.startsWith("data:")) {
+      uploadedThumbnail = existing.thumbnail;
+    } else {
+      urlField.value = existing.thumbnail;
+    }
+    showPreview(existing.thumbnail);
+    existing.ingredients.forEach(addIngredientRow);
+  } else {
+    [1, 2, 3].forEach(() => addIngredientRow());
+  }
+
+  form.addEventListener("submit", event => {
+    event.preventDefault();
+    const value = id => document.getElementById(id).value.trim();
+    const ingredients = [...ingredientsList.querySelectorAll("[data-ingredient-row]")]
+      .map(row => ({
+        name: row.querySelector("[data-ingredient-name]").value.trim(),
+        measure: row.querySelector("[data-ingredient-measure]").value.trim()
+      }))
+      .filter(item => item.name);
+    const thumbnailUrl = value("recipeThumbnailUrl");
+    if (!value("recipeName")) {
+      showAlert(alertBox, t("recipeForm.nameRequired"));
+      return;
+    }
+    if (ingredients.length === 0) {
+      showAlert(alertBox, t("recipeForm.ingredientsRequired"));
+      return;
+    }
+    if (!uploadedThumbnail && thumbnailUrl && !/^https?:\/\//i.test(thumbnailUrl)) {
+      showAlert(alertBox, t("recipeForm.invalidUrl"));
+      return;
+    }
+    const recipe = savePersonalRecipe(user.id, {
+      id: existing?.id,
+      name: value("recipeName"),
+      category: value("recipeCategory"),
+      area: value("recipeArea"),
+      thumbnail: uploadedThumbnail ?? thumbnailUrl,
+      tags: value("recipeTags")
+        .split(",")
+        .map(tag => tag.trim())
+        .filter(Boolean),
+      ingredients,
+      instructions: value("recipeInstructions")
+    });
+    window.location.hash = `#/recipe/${recipe.id}`;
+  });
+
+  // Suggerimenti per categoria e cucina dalle liste di TheMealDB (non bloccano il form)
+  const lists = await getFilterLists();
+  if (signal?.aborted) return;
+  const fillOptions = (listId, values) => {
+    document.getElementById(listId).innerHTML = html`${values.map(
+      option => html`<option value="${option}"></option>`
+    )}`;
+  };
+  fillOptions("recipeCategoryOptions", lists.categories);
+  fillOptions("recipeAreaOptions", lists.areas);
+}
+
+// Restituisce il markup HTML del form di una preparazione:
+// - senza review: nuova preparazione, da inserire nel dettaglio ricetta
+// - con review: modifica di una preparazione esistente (vista “Le mie recensioni”)
+function renderReviewForm(mealId, review = null) {
+  const today = new Date().toISOString().split("T")[0];
+  const values = review ?? { dataPreparazione: today, difficolta: 3, gusto: 4 };
+  return html`
+    ${
+      !review &&
+      html`
+        <hr class="border-secondary my-4" />
+        <h3 class="h6 text-uppercase">${t("reviewForm.title")}</h3>
+      `
+    }
+    <form
+      id="reviewForm"
+      class="mt-3"
+      data-meal-id="${mealId}"
+      data-review-id="${review?.id ?? ""}"
+    >
+      <div class="mb-2">
+        <label class="form-label" for="reviewDate">${t("reviewForm.date")}</label>
+        <input
+          type="date"
+          class="form-control"
+          id="reviewDate"
+          value="${values.dataPreparazione}"
+          required
+        />
+      </div>
+      <div class="mb-2">
+        <label class="form-label" for="reviewDifficulty">${t("reviewForm.difficulty")}</label>
+        <input
+          type="number"
+          class="form-control"
+          id="reviewDifficulty"
+          min="1"
+          max="5"
+          value="${values.difficolta}"
+          required
+        />
+      </div>
+      <div class="mb-2">
+        <label class="form-label" for="reviewTaste">${t("reviewForm.taste")}</label>
+        <input
+          type="number"
+          class="form-control"
+          id="reviewTaste"
+          min="1"
+          max="5"
+          value="${values.gusto}"
+          required
+        />
+      </div>
+      <div class="mb-2">
+        <label class="form-label" for="reviewTweaks">${t("reviewForm.changes")}</label>
+        <textarea
+          class="form-control"
+          id="reviewTweaks"
+          rows="2"
+          placeholder="${t("reviewForm.changesPlaceholder")}"
+        >
+${values.modifiche ?? ""}</textarea>
+      </div>
+      <div class="mb-3">
+        <label class="form-label" for="reviewComment">${t("reviewForm.comment")}</label>
+        <textarea
+          class="form-control"
+          id="reviewComment"
+          rows="2"
+          placeholder="${t("reviewForm.commentPlaceholder")}"
+        >
+${values.commento ?? ""}</textarea>
+      </div>
+      ${
+        review
+          ? html`
+              <div class="d-flex gap-2">
+                <button class="btn btn-primary" type="submit">${t("profile.save")}</button>
+                <button class="btn btn-outline-accent" type="button" data-review-cancel>
+                  ${t("common.cancel")}
+                </button>
+              </div>
+            `
+          : html`<button class="btn btn-outline-accent w-100" type="submit">
+              ${t("reviewForm.submit")}
+            </button>`
+      }
+    </form>
+  `;
+}
+
+// Preparazioni dell’utente per una ricetta, dalla più vecchia alla più recente
+function getUserPreparations(userId, mealId) {
+  return getReviews()
+    .filter(review => review.userId === userId && review.recipeId === mealId)
+    .sort((a, b) => a.dataPreparazione.localeCompare(b.dataPreparazione));
+}
+
+// Timeline delle preparazioni dell’utente nel dettaglio ricetta: per ogni tentativo punteggi,
+// modifiche e commento, con l’andamento rispetto alla preparazione precedente
+function renderCookingTimeline(mealId) {
+  const container = document.getElementById("reviewsTimeline");
+  const user = getCurrentUser();
+  if (!container) return;
+  const entries = user ? getUserPreparations(user.id, mealId) : [];
+  if (entries.length === 0) {
+    container.innerHTML = "";
+    return;
+  }
+  const trend = (current, previous) => {
+    if (previous === undefined) return "";
+    if (current === previous) return html`<span class="text-muted">=</span>`;
+    return current > previous
+      ? html`<span class="text-success" title="${t("reviews.trendUp")}">↑</span>`
+      : html`<span class="text-warning" title="${t("reviews.trendDown")}">↓</span>`;
+  };
+  container.innerHTML = html`
+    <div class="border rounded border-secondary p-3 mb-3">
+      <h3 class="h6 text-uppercase">${t("reviews.timelineTitle", { count: entries.length })}</h3>
+      <p class="small text-muted mb-2">
+        ${t("reviews.tasteTrend")} ${entries.map(entry => entry.gusto).join(" → ")}
+      </p>
+      <ol class="list-unstyled border-start border-secondary ps-3 mb-0">
+        ${entries.map(
+          (entry, index) => html`
+            <li class="mb-2">
+              <p class="small text-accent mb-0">${formatDate(entry.dataPreparazione)}</p>
+              <p class="small mb-0">
+                ${t("reviews.taste")}
+                <strong>${entry.gusto}/5</strong> ${trend(entry.gusto, entries[index - 1]?.gusto)} ·
+                ${t("reviews.difficulty")} <strong>${entry.difficolta}/5</strong>
+                ${trend(entry.difficolta, entries[index - 1]?.difficolta)}
+              </p>
+              ${
+                entry.modifiche &&
+                html`<p class="small mb-0">${t("reviews.changes")} ${entry.modifiche}</p>`
+              }
+              ${entry.commento && html`<p class="small text-muted mb-0">${entry.commento}</p>`}
+            </li>
+          `
+        )}
+      </ol>
+    </div>
+  `;
+}
+
+// Renderizza la lista delle recensioni per una determinata ricetta
+function renderReviewsList(mealId) {
+  const container = document.getElementById("reviewsContainer");
+  const reviews = getReviews()
+    .filter(review => review.recipeId === mealId)
+    .sort((a, b) => b.dataPreparazione.localeCompare(a.dataPreparazione));
+  renderReviewsSummary(getRecipeRatings().get(mealId));
+  renderCookingTimeline(mealId);
+  if (reviews.length === 0) {
+    container.innerHTML = html`<p class="text-muted">${t("reviews.emptyRecipe")}</p>`;
+    return;
+  }
+  const users = getUsers();
+  container.innerHTML = html`${reviews.map(review => {
+    const author = users.find(user => user.id === review.userId);
+    return html`
+      <div class="border rounded border-secondary p-3 mb-3">
+        <p class="small text-accent mb-1">${author?.username ?? t("reviews.anonymous")}</p>
+        <p class="text-muted mb-1">
+          ${t("reviews.preparedOn", { date: formatDate(review.dataPreparazione) })}
+        </p>
+        <p class="mb-1">${t("reviews.difficulty")} <strong>${review.difficolta}/5</strong></p>
+        <p class="mb-1">${t("reviews.taste")} <strong>${review.gusto}/5</strong></p>
+        ${
+          review.modifiche &&
+          html`<p class="small mb-1">${t("reviews.changes")} ${review.modifiche}</p>`
+        }
+        <p class="small">${review.commento || t("reviews.noComment")}</p>
+      </div>
+    `;
+  })}`;
+}
+
+// Pannello riassuntivo delle recensioni di una ricetta: medie, numero e distribuzione del gusto
+function renderReviewsSummary(rating) {
+  const container = document.getElementById("reviewsSummary");
+  if (!container) return;
+  if (!rating) {
+    container.innerHTML = "";
+    return;
+  }
+  container.innerHTML = html`
+    <div class="border rounded border-secondary p-3 mb-3">
+      <div class="d-flex justify-content-between mb-2">
+        <span>${t("reviews.avgTaste")} <strong>${formatAmount(rating.taste)}/5</strong></span>
+        <span
+          >${t("reviews.avgDifficulty")} <strong>${formatAmount(rating.difficulty)}/5</strong></span
+        >
+      </div>
+      <p class="small text-muted mb-2">${t("reviews.count", { count: rating.count })}</p>
+      ${[5, 4, 3, 2, 1].map(score => {
+        const count = rating.distribution[score - 1];
+        const percent = Math.round((count / rating.count) * 100);
+        return html`
+          <div class="d-flex align-items-center gap-2 small">
+            <span class="text-nowrap">${score} ★</span>
+            <div
+              class="progress flex-grow-1"
+              role="progressbar"
+              aria-label="${t("reviews.withTaste", { score })}"
+              aria-valuenow="${percent}"
+              aria-valuemin="0"
+              aria-valuemax="100"
+            >
+              <div class="progress-bar bg-accent" style="width: ${percent}%"></div>
+            </div>
+            <span class="text-muted">${count}</span>
+          </div>
+        `;
+      })}
+    </div>
+  `;
+}
+
+// Gestisce il submit del form di una preparazione: senza data-review-id ne registra una nuova,
+// altrimenti aggiorna quella indicata (solo se appartiene all’utente).
+// Restituisce la preparazione salvata, oppure null se i dati non sono validi.
+function handleReviewSubmit(mealId, form) {
+  const user = getCurrentUser();
+  if (!user) {
+    redirectToLogin();
+    return null;
+  }
+  const dataPreparazione = form.querySelector("#reviewDate").value;
+  const difficolta = Number(form.querySelector("#reviewDifficulty").value);
+  const gusto = Number(form.querySelector("#reviewTaste").value);
+  const commento = form.querySelector("#reviewComment").value.trim();
+  const modifiche = form.querySelector("#reviewTweaks").value.trim();
+  // Validazione minima
+  const validScore = score => Number.isInteger(score) && score >= 1 && score <= 5;
+  if (!dataPreparazione || !validScore(difficolta) || !validScore(gusto)) {
+    return null;
+  }
+  const reviews = getReviews();
+  const reviewId = form.dataset.reviewId;
+  const existingIndex = reviewId
+    ? reviews.findIndex(review => review.id === reviewId && review.userId === user.id)
+    : -1;
+  if (reviewId && existingIndex === -1) return null;
+  const payload = {
+    id: reviewId || generateId("review"),
+    recipeId: mealId,
+    userId: user.id,
+    dataPreparazione,
+    difficolta,
+    gusto,
+    commento,
+    modifiche
+  };
+  if (existingIndex !== -1) {
+    // Aggiorniamo la preparazione modificata
+    reviews[existingIndex] = payload;
+  } else {
+    // Ogni nuova preparazione è una voce a sé nel diario
+    reviews.push(payload);
+  }
+  saveReviews(reviews);
+  return payload;
+}
+
+// Elimina una preparazione dell’utente corrente
+function deleteUserReview(reviewId) {
+  const user = getCurrentUser();
+  if (!user) return;
+  saveReviews(
+    getReviews().filter(review => !(review.id === reviewId && review.userId === user.id))
+  );
+}
+
+// --------------------------
+// Cookbook helpers
+// --------------------------
+
+// Aggiunge o rimuove una ricetta dal ricettario dell’utente
+function updateCookbook(mealId, shouldAdd) {
+  const user = getCurrentUser();
+  if (!user) {
+    redirectToLogin();
+    return;
+  }
+  const cookbook = [...(user.cookbook ?? [])];
+  const index = cookbook.findIndex(entry => entry.mealId === mealId);
+  if (shouldAdd && index === -1) {
+    cookbook.push({ mealId, note: "", addedAt: new Date().toISOString(), collections: [] });
+  }
+  if (!shouldAdd && index !== -1) {
+    cookbook.splice(index, 1);
+  }
+  const updatedUser = { ...user, cookbook };
+  persistUser(updatedUser);
+}
+
+// Aggiorna la nota privata associata a una ricetta nel ricettario
+function updateCookbookNote(mealId, note) {
+  const user = getCurrentUser();
+  if (!user) return;
+  const cookbook = [...(user.cookbook ?? [])];
+  const index = cookbook.findIndex(entry => entry.mealId === mealId);
+  if (index === -1) return;
+  cookbook[index] = { ...cookbook[index], note };
+  const updatedUser = { ...user, cookbook };
+  persistUser(updatedUser);
+}
+
+// Crea una raccolta del ricettario (es. "Weeknight", "Ospiti").
+// Restituisce la raccolta creata, oppure quella esistente con lo stesso nome.
+function createCookbookCollection(name) {
+  const user = getCurrentUser();
+  if (!user) return null;
+  const collections = user.collections ?? [];
+  const existing = collections.find(
+    collection => collection.name.toLowerCase() === name.toLowerCase()
+  );
+  if (existing) return existing;
+  const collection = { id: generateId("collection"), name };
+  persistUser({ ...user, collections: [...collections, collection] });
+  return collection;
+}
+
+// Elimina una raccolta e la toglie da tutte le voci del ricettario (le ricette restano salvate)
+function deleteCookbookCollection(collectionId) {
+  const user = getCurrentUser();
+  if (!user) return;
+  persistUser({
+    ...user,
+    collections: (user.collections ?? []).filter(collection => collection.id !== collectionId),
+    cookbook: (user.cookbook ?? []).map(entry => ({
+      ...entry,
+      collections: (entry.collections ?? []).filter(id => id !== collectionId)
+    }))
+  });
+}
+
+// Aggiunge o toglie una ricetta del ricettario da una raccolta (una ricetta può stare in più raccolte)
+function updateCookbookCollection(mealId, collectionId, shouldAdd) {
+  const user = getCurrentUser();
+  if (!user) return;
+  const cookbook = [...(user.cookbook ?? [])];
+  const index = cookbook.findIndex(entry => entry.mealId === mealId);
+  if (index === -1) return;
+  const collections = (cookbook[index].collections ?? []).filter(id => id !== collectionId);
+  if (shouldAdd) collections.push(collectionId);
+  cookbook[index] = { ...cookbook[index], collections };
+  persistUser({ ...user, cookbook });
+}
+
+// Voto dato dall’utente a una ricetta (gusto medio delle sue preparazioni), null se non l’ha mai recensita
+function getUserRecipeScore(userId, mealId) {
+  const entries = getUserPreparations(userId, mealId);
+  if (entries.length === 0) return null;
+  return entries.reduce((sum, entry) => sum + entry.gusto, 0) / entries.length;
+}
+
 // --------------------------
-// Navbar e autenticazione
+// Valutazioni aggregate
 // --------------------------
 
-// Imposta i listener specifici per il link di autenticazione (Login/Logout)
-function setupNavAuthEvents() {
-  const authLink = document.getElementById("ccAuthLink");
-  if (!authLink) return;
-  authLink.addEventListener("click", event => {
-    // Se lo stato del link è "logout", intercettiamo il click e non navighiamo
-    if (authLink.dataset.action === "logout") {
-      event.preventDefault();
-      handleLogout();
-    }
+// Valutazioni di tutte le ricette recensite, calcolate da pgrc_reviews. Ogni preparazione è una
+// recensione: prima si fa la media delle preparazioni di ciascun utente, poi quella tra gli utenti,
+// così chi ha cucinato un piatto dieci volte conta come un voto solo.
+// Map recipeId → { count, taste, difficulty, distribution } dove count è il numero di utenti,
+// taste e difficulty sono le medie e distribution[i] è il numero di utenti con gusto medio
+// (arrotondato) i + 1 (da 1 a 5)
+function getRecipeRatings() {
+  // recipeId → userId → preparazioni di quell’utente
+  const reviewsByRecipe = new Map();
+  getReviews().forEach(review => {
+    const byUser = reviewsByRecipe.get(review.recipeId) ?? new Map();
+    byUser.set(review.userId, [...(byUser.get(review.userId) ?? []), review]);
+    reviewsByRecipe.set(review.recipeId, byUser);
   });
-  // All’avvio sincronizziamo il testo del link con lo stato utente
-  updateNavAuthState();
+  const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const ratings = new Map();
+  reviewsByRecipe.forEach((byUser, recipeId) => {
+    const votes = [...byUser.values()].map(reviews => ({
+      taste: average(reviews.map(review => review.gusto)),
+      difficulty: average(reviews.map(review => review.difficolta))
+    }));
+    const distribution = [0, 0, 0, 0, 0];
+    votes.forEach(vote => {
+      if (vote.taste >= 1 && vote.taste <= 5) {
+        distribution[Math.round(vote.taste) - 1] += 1;
+      }
+    });
+    ratings.set(recipeId, {
+      count: votes.length,
+      taste: average(votes.map(vote => vote.taste)),
+      difficulty: average(votes.map(vote => vote.difficulty)),
+      distribution
+    });
+  });
+  return ratings;
 }
 
-// Aggiorna il link di autenticazione nella navbar in base a currentUser
-function updateNavAuthState() {
-  const authLink = document.getElementById("ccAuthLink");
-  if (!authLink) return;
-  const user = getCurrentUser();
-  if (user) {
-    // Utente loggato → mostriamo "Logout"
-    authLink.textContent = "Logout";
-    authLink.href = "#/home";
-    authLink.dataset.action = "logout";
-  } else {
-    // Nessun utente loggato → mostriamo "Login"
-    authLink.textContent = "Login";
-    authLink.href = "#/login";
-    delete authLink.dataset.action;
-  }
+// Ordina gli id per gusto medio (a parità, per numero di utenti che le hanno valutate); le ricette
+// senza recensioni restano in fondo nell’ordine originale
+function sortMealIdsByRating(ids, ratings = getRecipeRatings()) {
+  const score = id => ratings.get(id) ?? { taste: 0, count: 0 };
+  return [...ids].sort(
+    (a, b) => score(b).taste - score(a).taste || score(b).count - score(a).count
+  );
 }
 
-// Esegue il logout: azzera currentUser, aggiorna nav e torna alla home
-function handleLogout() {
-  setCurrentUser(null);
-  updateNavAuthState();
-  window.location.hash = "#/home";
+// Badge compatto con gusto medio e numero di utenti che l’hanno valutata (card dei risultati e della home)
+function renderRatingBadge(rating) {
+  if (!rating) return "";
+  // Una cifra decimale sempre visibile (4,0 e non 4) per allineare i badge
+  const taste = rating.taste.toLocaleString(getLocaleTag(), {
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1
+  });
+  return html`
+    <span
+      class="badge bg-accent"
+      title="${t("reviews.badgeTitle", {
+        taste: formatAmount(rating.taste),
+        count: rating.count
+      })}"
+    >
+      ★ ${taste} · ${rating.count}
+    </span>
+  `;
 }
 
 // --------------------------
-// Startup data
+// Modalità cucina
 // --------------------------
 
-// Precarica alcune ricette “in evidenza” all’avvio (per non avere app vuota)
-async function preloadFeaturedMeals() {
-  const cache = getMealsCache();
-  // Se abbiamo già ricette in cache, non facciamo nulla
-  if (Object.keys(cache).length > 0) return;
-  try {
-    // Carichiamo ricette che iniziano per "a" e ne prendiamo 8 come sample
-    const meals = await fetchMealsByFirstLetter("a");
-    cacheMeals(meals.slice(0, 8));
-  } catch (error) {
-    console.warn("Impossibile precaricare ricette", error);
-  }
+// Divide le istruzioni in passaggi: una riga per passaggio, senza numerazioni già presenti
+// ("STEP 1", "1.", "2)"). Un testo tutto su una riga viene diviso per frasi.
+function splitInstructionSteps(text) {
+  const lines = String(text ?? "")
+    .split(/\r?\n/)
+    .map(line => line.replace(/^\s*(?:step\s*\d+\s*[:.)-]?|\d+\s*[.)])\s*/i, "").trim())
+    .filter(line => line && !/^\d+$/.test(line));
+  if (lines.length > 1) return lines;
+  return (lines[0] ?? "")
+    .split(/(?<=[.!?])\s+(?=[A-ZÀ-Ý0-9])/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
 }
 
-// --------------------------
-// View controllers
-// --------------------------
-
-// Vista home: al momento non fa nulla di dinamico, ma puoi arricchirla in futuro
-function initHomeView() {
-  // Vista statica: si potrebbe arricchire con suggerimenti dinamici
+// Passaggi di una ricetta per il dettaglio e la modalità cucina: senza istruzioni salvate
+// resta un solo passaggio con l’avviso nella lingua attiva
+function getInstructionSteps(meal) {
+  const steps = splitInstructionSteps(meal.instructions);
+  return steps.length > 0 ? steps : [t("recipe.noInstructions")];
 }
 
-// Inizializza la vista di login: attach handler al form e gestisce autenticazione
-function initLoginView() {
-  // Se l’utente è già loggato, non ha senso mostrare il login → redirigiamo a home
-  if (getCurrentUser()) {
-    window.location.hash = "#/home";
-    return;
+// Durate presenti in un passaggio ("bake for 25 minutes", "simmer 1 hour", "cuocere 20 minuti"):
+// restituisce [{ label, seconds, start, end }] con la posizione nel testo per trasformarle in pulsanti.
+// Negli intervalli ("10-15 minutes") vale il valore minimo: meglio controllare presto che tardi.
+// Le durate composte ("1 hour 30 minutes") diventano un unico timer.
+function detectStepTimers(step) {
+  const { TIMER_UNITS } = COOKING_MODE;
+  const units = TIMER_UNITS.map(unit => unit.pattern).join("|");
+  const pattern = new RegExp(
+    `\\b(\\d+(?:[.,]\\d+)?|an?|one|un'?)\\s*(?:(?:-|–|to)\\s*\\d+(?:[.,]\\d+)?\\s*)?(${units})\\b`,
+    "gi"
+  );
+  const timers = [];
+  for (const match of step.matchAll(pattern)) {
+    const unit = TIMER_UNITS.find(item => new RegExp(`^(?:${item.pattern})$`, "i").test(match[2]));
+    const hasNumber = /^\d/.test(match[1]);
+    if (!hasNumber && !unit.article) continue;
+    const amount = hasNumber ? Number(match[1].replace(",", ".")) : 1;
+    const seconds = Math.round(amount * unit.seconds);
+    const start = match.index;
+    const end = start + match[0].length;
+    const previous = timers[timers.length - 1];
+    const gap = previous ? step.slice(previous.end, start) : null;
+    if (previous && /^\s*(?:and|e)?\s*$/i.test(gap) && unit.seconds < previous.unitSeconds) {
+      Object.assign(previous, {
+        label: step.slice(previous.start, end),
+        seconds: previous.seconds + seconds,
+        end,
+        unitSeconds: unit.seconds
+      });
+      continue;
+    }
+    timers.push({ label: match[0], seconds, start, end, unitSeconds: unit.seconds });
   }
-  const form = document.getElementById("loginForm");
-  const alertBox = document.getElementById("loginAlert");
-  form?.addEventListener("submit", event => {
-    event.preventDefault();
-    const identifier = document.getElementById("loginIdentifier").value.trim();
-    const password = document.getElementById("loginPassword").value.trim();
-    const users = getUsers();
-    // Possiamo loggare con username o email, purché la password coincida
-    const user = users.find(
-      u => (u.username === identifier || u.email === identifier) && u.password === password
+  return timers
+    .filter(timer => timer.seconds > 0)
+    .map(({ label, seconds, start, end }) => ({ label, seconds, start, end }));
+}
+
+// Tempo residuo di un timer: "25:00", oppure "1:05:00" oltre l’ora
+function formatTimerClock(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = value => String(value).padStart(2, "0");
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+}
+
+// Testo di un passaggio con le durate trasformate in pulsanti che avviano un timer
+function renderStepWithTimers(step) {
+  const parts = [];
+  let cursor = 0;
+  detectStepTimers(step).forEach(timer => {
+    parts.push(step.slice(cursor, timer.start));
+    parts.push(
+      html`<button
+        type="button"
+        class="btn btn-outline-accent cooking-timer-btn"
+        data-timer-seconds="${timer.seconds}"
+        data-timer-label="${timer.label}"
+      >
+        ⏱ ${timer.label}
+      </button>`
     );
-    if (!user) {
-      showAlert(alertBox, "Credenziali non valide.");
-      return;
-    }
-    setCurrentUser(user);
-    updateNavAuthState();
-    window.location.hash = "#/home";
+    cursor = timer.end;
   });
+  parts.push(step.slice(cursor));
+  return html`${parts}`;
 }
 
-// Inizializza la vista di registrazione utente
-function initRegisterView() {
-  // Se c’è già un utente loggato, registrarsi non ha senso → redirigiamo a home
-  if (getCurrentUser()) {
-    window.location.hash = "#/home";
-    return;
-  }
-  const form = document.getElementById("registerForm");
-  const alertBox = document.getElementById("registerAlert");
-  form?.addEventListener("submit", event => {
-    event.preventDefault();
-    const username = document.getElementById("registerUsername").value.trim();
-    const email = document.getElementById("registerEmail").value.trim();
-    const password = document.getElementById("registerPassword").value.trim();
-    const confirmPassword = document.getElementById("registerPasswordConfirm").value.trim();
-    const favorites = document.getElementById("registerFavorites").value.trim();
-
-    // Validazioni minime lato client
-    if (!username || !email || !password) {
-      showAlert(alertBox, "Compila tutti i campi obbligatori.");
-      return;
-    }
-    if (password.length < 6) {
-      showAlert(alertBox, "La password deve contenere almeno 6 caratteri.");
-      return;
-    }
-    if (password !== confirmPassword) {
-      showAlert(alertBox, "Le password non coincidono.");
-      return;
-    }
-    const users = getUsers();
-    // Verifichiamo unicità di username o email
-    const alreadyExists = users.some(user => user.username === username || user.email === email);
-    if (alreadyExists) {
-      showAlert(alertBox, "Username o email già utilizzati.");
+// Mantiene lo schermo acceso finché la modalità cucina è aperta (Wake Lock API, dove disponibile).
+// Il browser rilascia il blocco quando la scheda va in background: lo si richiede di nuovo al ritorno.
+async function requestCookingWakeLock() {
+  const session = appState.cookingSession;
+  if (!session || !("wakeLock" in navigator) || document.visibilityState !== "visible") return;
+  try {
+    const lock = await navigator.wakeLock.request("screen");
+    // La modalità cucina è stata chiusa mentre la richiesta era in corso
+    if (appState.cookingSession !== session) {
+      lock.release();
       return;
     }
-
-    // Creiamo un nuovo utente base: avrà un id, credenziali e un ricettario vuoto
-    const newUser = {
-      id: generateId("user"),
-      username,
-      email,
-      password,
-      favorites,
-      cookbook: []
-    };
-    users.push(newUser);
-    saveUsers(users);
-    setCurrentUser(newUser);
-    updateNavAuthState();
-    window.location.hash = "#/profile";
-  });
+    session.wakeLock = lock;
+    const badge = document.getElementById("cookingWakeLock");
+    badge?.classList.remove("d-none");
+    lock.addEventListener("release", () => badge?.classList.add("d-none"));
+  } catch (error) {
+    console.warn("Impossibile mantenere lo schermo acceso", error);
+  }
 }
 
-// Inizializza la vista profilo: mostra info utente, permette update, logout e cancellazione
-function initProfileView() {
-  const user = getCurrentUser();
-  if (!user) {
-    window.location.hash = "#/login";
-    return;
+// Avviso di fine timer: vibrazione e un breve segnale acustico, dove supportati
+function notifyTimerDone() {
+  navigator.vibrate?.([300, 150, 300]);
+  const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  try {
+    const context = new AudioContextClass();
+    const oscillator = context.createOscillator();
+    oscillator.frequency.value = 880;
+    oscillator.connect(context.destination);
+    oscillator.start();
+    oscillator.stop(context.currentTime + 0.6);
+    oscillator.addEventListener("ended", () => context.close());
+  } catch (error) {
+    console.warn("Segnale acustico non disponibile", error);
   }
-  // Mostra info utente in un pannello riepilogativo
-  renderProfileInfo(user);
-  const form = document.getElementById("profileForm");
-  const successAlert = document.getElementById("profileAlertSuccess");
-  const errorAlert = document.getElementById("profileAlertError");
-  const logoutBtn = document.getElementById("logoutBtn");
-  const deleteBtn = document.getElementById("deleteProfileBtn");
+}
 
-  // Precompiliamo i campi del form con i dati attuali
-  document.getElementById("profileEmail").value = user.email;
-  document.getElementById("profileFavorites").value = user.favorites ?? "";
+// --------------------------
+// Raccomandazioni
+// --------------------------
 
-  form?.addEventListener("submit", event => {
-    event.preventDefault();
-    const email = document.getElementById("profileEmail").value.trim();
-    const favorites = document.getElementById("profileFavorites").value.trim();
-    if (!email) {
-      showAlert(errorAlert, "Email obbligatoria.");
-      return;
-    }
-    // Creiamo un clone aggiornato dell’oggetto utente
-    const updated = { ...user, email, favorites };
-    persistUser(updated);
-    renderProfileInfo(updated);
-    showAlert(successAlert, "Profilo aggiornato con successo.", "success");
-  });
+// Profilo vuoto (visitatori): nessun segnale e nessuna ricetta da escludere
+function createEmptyTasteProfile() {
+  return {
+    categories: new Map(),
+    areas: new Map(),
+    ingredients: new Map(),
+    terms: new Set(),
+    owned: new Set()
+  };
+}
 
-  // Pulsante di logout diretto dalla pagina profilo
-  logoutBtn?.addEventListener("click", handleLogout);
-  // Pulsante per eliminazione definitiva del profilo
-  deleteBtn?.addEventListener("click", () => {
-    const confirmDelete = confirm("Sei sicuro di voler eliminare il profilo?");
-    if (!confirmDelete) return;
-    removeUser(user.id);
-    updateNavAuthState();
-    window.location.hash = "#/home";
+// Profilo dei gusti di un utente, ricavato da:
+// - ricette del ricettario (peso 1) e ricette cucinate con gusto alto (peso 2):
+//   categorie, aree e ingredienti ricorrenti, come Map chiave → peso
+// - termini del campo “piatti preferiti”
+// owned raccoglie le ricette che l’utente ha già (ricettario o recensioni) e che non vanno consigliate
+function buildTasteProfile(user) {
+  const profile = {
+    ...createEmptyTasteProfile(),
+    terms: new Set(tokenizeSearchText(user.favorites).slice(0, RECOMMENDATIONS.FAVORITE_TERMS))
+  };
+  const cache = { ...getMealsCache(), ...getPersonalRecipes() };
+  const add = (map, key, weight) => {
+    if (key) map.set(key, (map.get(key) ?? 0) + weight);
+  };
+  const addMeal = (mealId, weight) => {
+    const meal = cache[mealId];
+    if (!meal) return;
+    add(profile.categories, meal.category, weight);
+    add(profile.areas, meal.area, weight);
+    (meal.ingredients ?? []).forEach(item =>
+      add(profile.ingredients, getIngredientKey(item.name), weight)
+    );
+  };
+  (user.cookbook ?? []).forEach(entry => {
+    profile.owned.add(entry.mealId);
+    addMeal(entry.mealId, 1);
   });
+  getReviews()
+    .filter(review => review.userId === user.id)
+    .forEach(review => {
+      profile.owned.add(review.recipeId);
+      if (review.gusto >= RECOMMENDATIONS.LOVED_TASTE) addMeal(review.recipeId, 2);
+    });
+  return profile;
 }
 
-// Aggiorna il pannello di riepilogo delle informazioni utente
-function renderProfileInfo(user) {
-  const container = document.getElementById("profileInfo");
-  const cookbookCount = user.cookbook?.length ?? 0;
-  container.innerHTML = `
-        <ul class="list-group list-group-flush">
-            <li class="list-group-item bg-transparent text-white"><strong>Username:</strong> ${
-              user.username
-            }</li>
-            <li class="list-group-item bg-transparent text-white"><strong>Email:</strong> ${
-              user.email
-            }</li>
-            <li class="list-group-item bg-transparent text-white"><strong>Piatti preferiti:</strong> ${
-              user.favorites || "Non specificati"
-            }</li>
-            <li class="list-group-item bg-transparent text-white"><strong>Ricette salvate:</strong> ${cookbookCount}</li>
-        </ul>
-    `;
+// Chiavi più pesanti di una mappa del profilo (es. la categoria dominante)
+function getTopProfileKeys(map, limit = 1) {
+  return [...map.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([key]) => key);
 }
 
-// Inizializza la vista di ricerca ricette
-function initSearchView() {
-  // Mostriamo gli eventuali risultati precedenti già salvati in appState
-  renderSearchResults(appState.searchResults);
-  const buttons = document.querySelectorAll("#searchControls button[data-search]");
-  // Ogni bottone corrisponde a un tipo di ricerca (per nome, ingrediente, lettera)
-  buttons.forEach(btn => {
-    btn.addEventListener("click", async () => {
-      const type = btn.dataset.search;
-      await handleSearch(type);
+// Punteggio di una ricetta rispetto al profilo: ogni segnale vale da 0 a 1 (in proporzione al
+// segnale dominante del profilo) e viene moltiplicato per il suo peso in RECOMMENDATIONS.WEIGHTS
+function scoreRecommendation(meal, profile) {
+  const { WEIGHTS } = RECOMMENDATIONS;
+  const share = (map, key) => (map.get(key) ?? 0) / Math.max(1, ...map.values());
+  const ingredients = meal.ingredients ?? [];
+  const ingredientKeys = [...new Set(ingredients.map(item => getIngredientKey(item.name)))];
+  const ingredientShare =
+    ingredientKeys.reduce((sum, key) => sum + share(profile.ingredients, key), 0) /
+    Math.max(1, ingredientKeys.length);
+  // Basta un termine dei piatti preferiti nel nome, nei tag o negli ingredienti
+  const mealTerms = new Set(
+    tokenizeSearchText(
+      [
+        meal.name,
+        meal.category,
+        meal.area,
+        ...(meal.tags ?? []),
+        ...ingredients.map(item => item.name)
+      ].join(" ")
+    )
+  );
+  const favorite = [...profile.terms].some(term => mealTerms.has(term)) ? 1 : 0;
+  return (
+    WEIGHTS.favorites * favorite +
+    WEIGHTS.category * share(profile.categories, meal.category) +
+    WEIGHTS.area * share(profile.areas, meal.area) +
+    WEIGHTS.ingredient * ingredientShare
+  );
+}
+
+// Ricette candidate già in locale (pgrc_meals), escluse quelle che l’utente ha già
+function getRecommendationPool(excluded) {
+  return Object.values(getMealsCache()).filter(meal => !excluded.has(meal.id));
+}
+
+// Scarica da TheMealDB nuove candidate legate ai segnali dominanti del profilo:
+// categoria, area e ingrediente più frequenti (filter.php) e piatti preferiti (search.php).
+// Per ogni segnale si salvano in cache al massimo FETCH_PER_SIGNAL ricette non ancora viste;
+// un segnale non raggiungibile viene saltato, l’annullamento della vista invece risale al chiamante.
+async function fetchRecommendationCandidates(profile, options = {}) {
+  const { FETCH_PER_SIGNAL } = RECOMMENDATIONS;
+  const tolerant = promise =>
+    promise.catch(error => {
+      if (error.type === "aborted") throw error;
+      console.warn("Candidati per le raccomandazioni non disponibili", error);
+      return [];
     });
-  });
+  const isNew = id => !profile.owned.has(id) && !getMealsCache()[id];
+  const filters = [
+    ["c", getTopProfileKeys(profile.categories)[0]],
+    ["a", getTopProfileKeys(profile.areas)[0]],
+    ["i", getTopProfileKeys(profile.ingredients)[0]]
+  ].filter(([, value]) => value);
+  const [idLists, nameLists] = await Promise.all([
+    Promise.all(
+      filters.map(([param, value]) => tolerant(fetchMealIdsByFilter(param, value, options)))
+    ),
+    // search.php restituisce già il dettaglio completo: niente lookup aggiuntivi
+    Promise.all([...profile.terms].map(term => tolerant(fetchMealsByName(term, options))))
+  ]);
+  cacheMeals(
+    nameLists.flatMap(meals => meals.filter(meal => isNew(meal.id)).slice(0, FETCH_PER_SIGNAL))
+  );
+  const ids = [...new Set(idLists.flatMap(list => list.filter(isNew).slice(0, FETCH_PER_SIGNAL)))];
+  await fetchMealDetails(ids, options);
 }
 
-// Gestisce una ricerca in base al tipo scelto
-async function handleSearch(type) {
-  const countBadge = document.getElementById("searchCount");
-  countBadge.textContent = "Ricerca in corso…";
-  let results = [];
+// Rail “Per te”: le candidate con il punteggio più alto.
+// Si scaricano nuove candidate solo se quelle in cache non bastano a riempire il rail,
+// così le visite successive alla home non generano richieste.
+async function getPersonalRecommendations(profile, options = {}) {
+  const { RAIL_SIZE } = RECOMMENDATIONS;
+  const rank = () =>
+    getRecommendationPool(profile.owned)
+      .map(meal => ({ meal, score: scoreRecommendation(meal, profile) }))
+      .filter(item => item.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(item => item.meal);
+  const ranked = rank();
+  if (ranked.length >= RAIL_SIZE) return ranked.slice(0, RAIL_SIZE);
+  await fetchRecommendationCandidates(profile, options);
+  return rank().slice(0, RAIL_SIZE);
+}
+
+// Rail “Da riprovare”: ricette cucinate con gusto medio alto e non più preparate
+// da almeno RETRY_AFTER_DAYS giorni, dalla più apprezzata (a parità, la meno recente)
+async function getRetryRecommendations(user) {
+  const { LOVED_TASTE, RETRY_AFTER_DAYS, RAIL_SIZE } = RECOMMENDATIONS;
+  const threshold = toDateKey(addDays(new Date(), -RETRY_AFTER_DAYS));
+  const candidates = [
+    ...new Set(
+      getReviews()
+        .filter(review => review.userId === user.id)
+        .map(review => review.recipeId)
+    )
+  ]
+    .map(mealId => {
+      const preparations = getUserPreparations(user.id, mealId);
+      return {
+        mealId,
+        score: getUserRecipeScore(user.id, mealId),
+        last: preparations[preparations.length - 1].dataPreparazione
+      };
+    })
+    .filter(item => item.score >= LOVED_TASTE && item.last <= threshold)
+    .sort((a, b) => b.score - a.score || a.last.localeCompare(b.last))
+    .slice(0, RAIL_SIZE);
+  const meals = await Promise.all(candidates.map(item => ensureMealInCacheOrNull(item.mealId)));
+  return meals.filter(Boolean);
+}
+
+// Rail “Esplora una nuova cucina”: una cucina mai salvata né cucinata dall’utente
+// (per i visitatori, una qualsiasi). La cucina cambia ogni giorno ma resta stabile nella giornata.
+// Senza rete si ripiega sulle ricette di quella cucina già in cache.
+async function getExploreRecommendations(profile, options = {}) {
+  const { RAIL_SIZE } = RECOMMENDATIONS;
+  const { areas } = await getFilterLists();
+  const unexplored = areas.filter(area => !profile.areas.has(area) && area !== "Unknown");
+  if (unexplored.length === 0) return null;
+  const day = Math.floor(Date.now() / (24 * 60 * 60 * 1000));
+  const area = unexplored[day % unexplored.length];
+  let ids;
   try {
-    if (type === "name") {
-      const value = document.getElementById("searchByName").value;
-      results = await fetchMealsByName(value);
-    } else if (type === "ingredient") {
-      const value = document.getElementById("searchByIngredient").value;
-      results = await fetchMealsByIngredient(value);
-    } else if (type === "letter") {
-      const value = document.getElementById("searchByLetter").value;
-      results = await fetchMealsByFirstLetter(value);
-    }
-    // Aggiorniamo la cache locale con i risultati trovati
-    cacheMeals(results);
+    ids = await fetchMealIdsByFilter("a", area, options);
   } catch (error) {
-    console.error("Errore durante la ricerca", error);
+    if (error.type === "aborted") throw error;
+    console.warn(`Ricette della cucina ${area} non disponibili`, error);
+    ids = getRecommendationPool(new Set())
+      .filter(meal => meal.area === area)
+      .map(meal => meal.id);
   }
-  // Salviamo i risultati nello stato globale e li rendiamo
-  appState.searchResults = results;
-  renderSearchResults(results);
+  const meals = await fetchMealDetails(
+    ids.filter(id => !profile.owned.has(id)).slice(0, RAIL_SIZE),
+    options
+  );
+  return meals.length > 0 ? { area, meals } : null;
 }
 
-// Costruisce il markup dei risultati della ricerca e aggiorna il contatore
-function renderSearchResults(results = []) {
-  const container = document.getElementById("searchResults");
-  const countBadge = document.getElementById("searchCount");
-  if (!container || !countBadge) return;
-  countBadge.textContent = `${results.length} ricette`;
-  if (results.length === 0) {
-    container.innerHTML = '<p class="text-muted">Nessun risultato. Prova con un altro termine.</p>';
-    return;
+// Ripiego generico (visitatori o profili ancora vuoti): le ricette in cache,
+// prima le meglio recensite dalla community
+function getFeaturedRecommendations(excluded = new Set()) {
+  const ids = getRecommendationPool(excluded).map(meal => meal.id);
+  const cache = getMealsCache();
+  return sortMealIdsByRating(ids)
+    .slice(0, RECOMMENDATIONS.RAIL_SIZE)
+    .map(id => cache[id]);
+}
+
+// --------------------------
+// Planner settimanale
+// --------------------------
+
+// Il planner è salvato sull’utente come { "AAAA-MM-GG": { breakfast, lunch, dinner } },
+// dove ogni pasto contiene l’id della ricetta pianificata.
+// Le date usano il fuso locale: una settimana va dal lunedì alla domenica.
+function toDateKey(date) {
+  const pad = value => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Data locale da una chiave "AAAA-MM-GG"; null se la chiave non è una data valida
+function parseDateKey(key) {
+  const match = String(key ?? "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return toDateKey(date) === key ? date : null;
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// Lunedì della settimana che contiene la data indicata
+function getWeekStart(date) {
+  return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+// Salva (o svuota, con mealId null) un pasto del planner dell’utente corrente
+function updatePlannerSlot(dateKey, slot, mealId) {
+  const user = getCurrentUser();
+  if (!user) return;
+  const planner = { ...(user.planner ?? {}) };
+  const day = { ...(planner[dateKey] ?? {}) };
+  if (mealId) {
+    day[slot] = mealId;
+  } else {
+    delete day[slot];
   }
-  // Ogni ricetta viene resa come card Bootstrap con un pulsante “Dettagli”
-  container.innerHTML = results.map(meal => renderMealCard(meal)).join("");
-}
-
-// Restituisce la card HTML per una singola ricetta (usata nella ricerca)
-function renderMealCard(meal) {
-  return `
-        <div class="col-md-4">
-            <div class="card card-glow h-100">
-                <img src="${meal.thumbnail}" class="card-img-top" alt="${meal.name}" />
-                <div class="card-body d-flex flex-column">
-                    <h3 class="h5">${meal.name}</h3>
-                    <p class="text-muted mb-2">${meal.category} · ${meal.area}</p>
-                    <div class="mt-auto">
-                        <a class="btn btn-outline-accent w-100" href="#/recipe/${meal.id}">Dettagli</a>
-                    </div>
-                </div>
-            </div>
-        </div>
-    `;
+  if (Object.keys(day).length > 0) {
+    planner[dateKey] = day;
+  } else {
+    delete planner[dateKey];
+  }
+  persistUser({ ...user, planner });
 }
 
-// Inizializza la vista ricettario personale
-async function initCookbookView() {
+// Copia i pasti della settimana precedente in quella che inizia da weekStart (sostituendoli)
+function copyPreviousPlannerWeek(weekStart) {
   const user = getCurrentUser();
-  if (!user) {
-    window.location.hash = "#/login";
-    return;
+  if (!user) return;
+  const planner = { ...(user.planner ?? {}) };
+  for (let offset = 0; offset < 7; offset += 1) {
+    const source = planner[toDateKey(addDays(weekStart, offset - 7))];
+    const target = toDateKey(addDays(weekStart, offset));
+    if (source) {
+      planner[target] = { ...source };
+    } else {
+      delete planner[target];
+    }
   }
-  const list = document.getElementById("cookbookList");
-  const badge = document.getElementById("cookbookCount");
-  list.innerHTML = '<p class="text-muted">Caricamento ricette...</p>';
-  // Per ogni entry nel ricettario (mealId + nota) recuperiamo il dettaglio della ricetta
-  const recipes = await Promise.all(
-    (user.cookbook ?? []).map(async entry => {
-      const meal = await ensureMealInCache(entry.mealId);
-      return { meal, note: entry.note ?? "" };
-    })
+  persistUser({ ...user, planner });
+}
+
+// Toglie una ricetta da tutti i giorni di un planner (usata quando la ricetta viene eliminata)
+function removeMealFromPlanner(planner, mealId) {
+  return Object.fromEntries(
+    Object.entries(planner)
+      .map(([dateKey, day]) => [
+        dateKey,
+        Object.fromEntries(Object.entries(day).filter(([, id]) => id !== mealId))
+      ])
+      .filter(([, day]) => Object.keys(day).length > 0)
   );
-  badge.textContent = `${recipes.filter(item => item.meal).length} ricette`;
-  if (recipes.length === 0) {
-    list.innerHTML =
-      '<p class="text-muted">Il ricettario è vuoto. Visita una ricetta e salvala.</p>';
-    return;
-  }
-  // Renderizziamo tutte le card del ricettario
-  list.innerHTML = recipes
-    .filter(item => item.meal)
-    .map(({ meal, note }) => renderCookbookCard(meal, note))
-    .join("");
+}
 
-  // Gestione click (delegata) per i pulsanti “Rimuovi”
-  list.onclick = event => {
-    const target = event.target;
-    if (target.matches("[data-remove-meal]")) {
-      const mealId = target.dataset.removeMeal;
-      updateCookbook(mealId, false);
-      initCookbookView();
+// --------------------------
+// Misure e porzioni
+// --------------------------
+
+// Unità di misura indicizzate per alias (costruita una volta sola da MEASURE_UNITS)
+const MEASURE_UNIT_ALIASES = Object.fromEntries(
+  Object.entries(MEASURE_UNITS).flatMap(([unit, config]) =>
+    config.aliases.map(alias => [alias, unit])
+  )
+);
+
+// Legge il numero all’inizio di un testo: interi, decimali ("1,5"), frazioni ("1/2"),
+// numeri misti ("1 1/2") e frazioni Unicode ("1½"). Restituisce { value, length } oppure null.
+function readMeasureNumber(text) {
+  const patterns = [
+    [/^(\d+)\s+(\d+)\/(\d+)/, ([, whole, num, den]) => Number(whole) + num / den],
+    [/^(\d+)\/(\d+)/, ([, num, den]) => num / den],
+    [/^(\d*)\s*([½⅓⅔¼¾⅛])/, ([, whole, fraction]) => Number(whole) + MEASURE_FRACTIONS[fraction]],
+    [/^(\d+(?:[.,]\d+)?)/, ([, number]) => Number(number.replace(",", "."))]
+  ];
+  for (const [pattern, toValue] of patterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const value = toValue(match);
+      return Number.isFinite(value) && value > 0 ? { value, length: match[0].length } : null;
     }
-  };
+  }
+  return null;
+}
+
+// Interpreta una quantità in testo libero ("200g", "1/2 kg", "2-3 tbs", "2 cloves").
+// Restituisce { amount, amountMax, unit, label }:
+// - amountMax è il limite superiore degli intervalli ("2-3", "1 to 2"), altrimenti null
+// - unit è una chiave di MEASURE_UNITS oppure null (pezzi, con l’eventuale etichetta es. "cloves")
+// - label è il testo che segue; un’equivalenza tra parentesi o dopo "/" ("200g/7oz") viene scartata
+// Se il testo non inizia con un numero ("Pinch", "to taste") restituisce null.
+function parseMeasure(measure) {
+  let text = String(measure ?? "").trim();
+  const first = readMeasureNumber(text);
+  if (!first) return null;
+  text = text.slice(first.length);
+  let amountMax = null;
+  const range = text.match(/^\s*(?:-|–|to|a)\s*/i);
+  const second = range ? readMeasureNumber(text.slice(range[0].length)) : null;
+  if (second && second.value > first.value) {
+    amountMax = second.value;
+    text = text.slice(range[0].length + second.length);
+  }
+  const word = text.match(/^\s*(fl\.?\s*oz|fluid ounces?|[a-z]+)\.?(?![a-z])/i);
+  const alias = word?.[1].toLowerCase().replace(/\./g, "").replace(/\s+/g, " ");
+  const unit = MEASURE_UNIT_ALIASES[alias] ?? null;
+  if (unit) {
+    text = text.slice(word[0].length).replace(/^\s*(\/|\().*$/, "");
+  }
+  return { amount: first.value, amountMax, unit, label: text.trim().toLowerCase() };
+}
+
+// Riscrive una quantità per il numero di porzioni e il sistema di misura scelti.
+// Le quantità non interpretabili, o che non cambiano, restano identiche al testo originale.
+function formatMeasure(measure, { scale = 1, system = null } = {}) {
+  const parsed = parseMeasure(measure);
+  if (!parsed) return measure;
+  const source = parsed.unit ? MEASURE_UNITS[parsed.unit] : null;
+  const convert = Boolean(system && source?.system && source.system !== system);
+  if (scale === 1 && !convert) return measure;
+  let unit = parsed.unit;
+  let factor = 1;
+  if (convert) {
+    // Unità di destinazione: la più grande che dia ancora un valore almeno pari a 1
+    const base = parsed.amount * scale * source.factor;
+    const candidates = MEASURE_SYSTEMS[system][source.dimension];
+    unit =
+      [...candidates].reverse().find(candidate => base / MEASURE_UNITS[candidate].factor >= 1) ??
+      candidates[0];
+    factor = source.factor / MEASURE_UNITS[unit].factor;
+  }
+  const amounts = [parsed.amount, parsed.amountMax]
+    .filter(amount => amount !== null)
+    .map(amount => formatAmount(amount * scale * factor));
+  return [amounts.join("–"), unit, parsed.label].filter(Boolean).join(" ");
+}
+
+// Sistema di misura preferito dall’utente, salvato sul profilo (metrico se non ancora scelto)
+function getUnitSystem(user) {
+  return user?.unitSystem ?? "metric";
+}
+
+// Formatta un numero con al massimo due decimali (1.5 → "1,5")
+function formatAmount(amount) {
+  return amount.toLocaleString(getLocaleTag(), { maximumFractionDigits: 2 });
+}
 
-  // Gestione cambio note private per ogni ricetta
-  list.onchange = event => {
-    const target = event.target;
-    if (target.matches("[data-note-meal]")) {
-      const mealId = target.dataset.noteMeal;
-      updateCookbookNote(mealId, target.value);
-    }
+// --------------------------
+// Lista della spesa
+// --------------------------
+
+// Stato della lista della spesa salvato sull’utente:
+// - selection: ricette del ricettario scelte, con le porzioni da preparare ({ mealId, servings })
+// - checked: ingredienti già presi, indicati con la chiave normalizzata del nome
+function getShoppingState(user) {
+  return {
+    selection: user?.shopping?.selection ?? [],
+    checked: user?.shopping?.checked ?? [],
+    // Ingredienti aggiunti singolarmente (es. quelli mancanti dalla dispensa): { mealId, name, measure }
+    extras: user?.shopping?.extras ?? []
   };
 }
 
-// Card di una singola ricetta nel ricettario con textarea per nota privata
-function renderCookbookCard(meal, note = "") {
-  return `
-        <div class="col-md-6">
-            <div class="card card-glow h-100">
-                <div class="row g-0 h-100">
-                    <div class="col-md-4">
-                        <img src="${meal.thumbnail}" class="img-fluid rounded-start h-100 object-fit-cover" alt="${meal.name}" />
-                    </div>
-                    <div class="col-md-8">
-                        <div class="card-body d-flex flex-column">
-                            <h3 class="h5">${meal.name}</h3>
-                            <p class="text-muted mb-2">${meal.category} · ${meal.area}</p>
-                            <div class="mb-3">
-                                <label class="form-label">Nota privata</label>
-                                <textarea class="form-control" rows="2" data-note-meal="${meal.id}">${note}</textarea>
-                            </div>
-                            <div class="mt-auto d-flex gap-2">
-                                <a class="btn btn-outline-accent" href="#/recipe/${meal.id}">Dettagli</a>
-                                <button class="btn btn-danger" data-remove-meal="${meal.id}">Rimuovi</button>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
-    `;
+function saveShoppingState(changes) {
+  const user = getCurrentUser();
+  if (!user) return;
+  persistUser({ ...user, shopping: { ...getShoppingState(user), ...changes } });
 }
 
-// Inizializza la vista “Le mie recensioni”
-async function initReviewsView() {
-  const user = getCurrentUser();
-  if (!user) {
-    window.location.hash = "#/login";
-    return;
-  }
-  const reviewsContainer = document.getElementById("reviewsList");
-  // Filtriamo solo le recensioni dell’utente loggato
-  const reviews = getReviews().filter(review => review.userId === user.id);
-  if (reviews.length === 0) {
-    reviewsContainer.innerHTML = '<p class="text-muted">Ancora nessuna recensione salvata.</p>';
-    return;
+// Chiave con cui si riconosce lo stesso ingrediente in ricette diverse ("Olive Oil" = "olive oil")
+function getIngredientKey(name) {
+  return String(name).trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// Unisce gli ingredienti delle ricette scelte in un’unica lista, scalati sulle porzioni.
+// Le quantità dello stesso ingrediente con unità compatibili vengono sommate; quelle
+// non numeriche ("Pinch", "to taste") restano come note accanto all’ingrediente.
+function buildShoppingList(entries) {
+  const items = new Map();
+  entries.forEach(({ meal, servings }) => {
+    const scale = servings / RECIPE_SERVINGS.BASE;
+    meal.ingredients.forEach(ingredient => {
+      const key = getIngredientKey(ingredient.name);
+      if (!key) return;
+      if (!items.has(key)) {
+        items.set(key, { key, name: ingredient.name.trim(), quantities: new Map(), notes: [] });
+      }
+      const item = items.get(key);
+      const parsed = parseMeasure(ingredient.measure);
+      if (!parsed) {
+        const note = ingredient.measure.trim();
+        if (note && !item.notes.includes(note)) item.notes.push(note);
+        return;
+      }
+      const dimension = parsed.unit ? MEASURE_UNITS[parsed.unit].dimension : null;
+      const groupKey = dimension ?? `count:${parsed.label}`;
+      const group = item.quantities.get(groupKey) ?? { total: 0, units: new Set(), label: "" };
+      // Per gli intervalli ("2-3") compriamo la quantità massima
+      const amount = parsed.amountMax ?? parsed.amount;
+      group.total += amount * scale * (parsed.unit ? MEASURE_UNITS[parsed.unit].factor : 1);
+      if (parsed.unit) group.units.add(parsed.unit);
+      group.label = parsed.label;
+      item.quantities.set(groupKey, group);
+    });
+  });
+  return [...items.values()]
+    .map(item => ({
+      key: item.key,
+      name: item.name,
+      measure: [...[...item.quantities.values()].map(formatQuantityGroup), ...item.notes].join(
+        " + "
+      )
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Testo di una quantità sommata: si usa la più grande tra le unità incontrate
+// che dia un valore almeno pari a 1 (200 g + 1 kg → "1,2 kg", 1 tbsp + 1 tsp → "1,33 tbsp")
+function formatQuantityGroup(group) {
+  if (group.units.size === 0) {
+    return [formatAmount(group.total), group.label].filter(Boolean).join(" ");
   }
-  // Per ogni recensione recuperiamo info ricetta e costruiamo la card
-  const cards = await Promise.all(
-    reviews.map(async review => {
-      const meal = await ensureMealInCache(review.recipeId);
-      return renderReviewCard(review, meal);
-    })
+  const units = [...group.units].sort((a, b) => MEASURE_UNITS[b].factor - MEASURE_UNITS[a].factor);
+  const unit =
+    units.find(candidate => group.total / MEASURE_UNITS[candidate].factor >= 1) ?? units.at(-1);
+  return `${formatAmount(group.total / MEASURE_UNITS[unit].factor)} ${unit}`;
+}
+
+// Scarica la lista della spesa come file di testo (una riga per ingrediente, [x] se già preso)
+function downloadShoppingList(items, checked) {
+  const lines = items.map(
+    item =>
+      `[${checked.includes(item.key) ? "x" : " "}] ${item.name}${item.measure ? ` – ${item.measure}` : ""}`
+  );
+  const text = `${t("shopping.exportHeader")}\n\n${lines.join("\n")}\n`;
+  downloadFile(
+    `cybercuisine-lista-spesa-${new Date().toISOString().split("T")[0]}.txt`,
+    text,
+    "text/plain;charset=utf-8"
   );
-  reviewsContainer.innerHTML = cards.join("");
 }
 
-// Card singola di recensione nella pagina “Le mie recensioni”
-function renderReviewCard(review, meal) {
-  return `
-        <div class="col-md-6">
-            <div class="card card-glow h-100">
-                <div class="card-body">
-                    <h3 class="h5">${meal?.name ?? "Ricetta"}</h3>
-                    <p class="text-muted">Preparata il ${review.dataPreparazione}</p>
-                    <p class="mb-1">Difficoltà: <strong>${review.difficolta}/5</strong></p>
-                    <p class="mb-1">Gusto: <strong>${review.gusto}/5</strong></p>
-                    <p class="small text-muted">${review.commento || "Nessun commento."}</p>
-                    <a class="btn btn-outline-accent" href="#/recipe/${
-                      review.recipeId
-                    }">Vai alla ricetta</a>
-                </div>
-            </div>
-        </div>
-    `;
+// --------------------------
+// Dispensa
+// --------------------------
+
+// Sinonimi indicizzati per nome: nome → nome canonico del gruppo
+const PANTRY_SYNONYMS = new Map(
+  PANTRY.SYNONYMS.flatMap(group => group.map(name => [name, group[0]]))
+);
+
+function getPantry(user) {
+  return user?.pantry ?? [];
 }
 
-// Inizializza la vista di dettaglio ricetta: info ricetta + ricettario + recensioni
-async function initRecipeDetailView(mealId) {
-  const wrapper = document.getElementById("recipeDetail");
-  if (!mealId || !wrapper) {
-    wrapper.innerHTML = '<p class="text-danger">Ricetta non trovata.</p>';
-    return;
-  }
-  wrapper.innerHTML = '<p class="text-muted">Caricamento dettagli ricetta...</p>';
-  // Ci assicuriamo che la ricetta sia in cache (altrimenti la carichiamo ora)
-  const meal = await ensureMealInCache(mealId);
-  if (!meal) {
-    wrapper.innerHTML = '<p class="text-danger">Impossibile recuperare la ricetta.</p>';
-    return;
-  }
-  const user = getCurrentUser();
-  const inCookbook = user?.cookbook?.some(entry => entry.mealId === meal.id);
-  const currentNote = user?.cookbook?.find(entry => entry.mealId === meal.id)?.note ?? "";
+// Singolare (approssimato) di una parola inglese: "tomatoes" → "tomato", "berries" → "berry",
+// "leaves" → "leaf", "onions" → "onion"; parole come "glass" o "couscous" restano invariate.
+// "chillies" diventa "chilly": per questo compare tra i sinonimi di "chilli".
+function singularizeIngredientWord(word) {
+  if (word.length <= 3 || /(ss|us|is)$/.test(word)) return word;
+  if (word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (/(ea|oa)ves$/.test(word)) return `${word.slice(0, -3)}f`;
+  if (/(oes|ches|shes|xes|sses)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith("s")) return word.slice(0, -1);
+  return word;
+}
 
-  // Costruiamo dinamicamente il layout a due colonne:
-  // - sinistra: dettaglio ricetta
-  // - destra: ricettario + recensioni
-  wrapper.innerHTML = `
-        <div class="col-lg-7">
-            <div class="card card-glow mb-4">
-                <img src="${meal.thumbnail}" class="card-img-top" alt="${meal.name}" />
-                <div class="card-body">
-                    <p class="text-uppercase text-accent mb-1">${meal.category} · ${meal.area}</p>
-                    <h1 class="h3 mb-3">${meal.name}</h1>
-                    <div class="mb-3">
-                        <h2 class="h6 text-uppercase">Ingredienti</h2>
-                        <ul class="list-unstyled small">
-                            ${meal.ingredients
-                              .map(item => `<li>• ${item.measure} ${item.name}</li>`)
-                              .join("")}
-                        </ul>
-                    </div>
-                    <div>
-                        <h2 class="h6 text-uppercase">Istruzioni</h2>
-                        <p class="text-pre-line">${meal.instructions}</p>
-                    </div>
-                </div>
-            </div>
-        </div>
-        <div class="col-lg-5">
-            <div class="card card-glow mb-4">
-                <div class="card-body">
-                    <h2 class="h5 mb-3">Ricettario personale</h2>
-                    ${
-                      user
-                        ? `
-                            <button class="btn btn-primary w-100 mb-3" id="cookbookToggleBtn">${
-                              inCookbook ? "Rimuovi dal ricettario" : "Aggiungi al ricettario"
-                            }</button>
-                            <label for="cookbookNote" class="form-label">Nota privata</label>
-                            <textarea class="form-control" id="cookbookNote" rows="3" ${
-                              inCookbook ? "" : "disabled"
-                            }>${currentNote}</textarea>
-                        `
-                        : '<p class="text-muted">Accedi per salvare la ricetta e annotare le tue prove.</p>'
-                    }
-                </div>
-            </div>
-            <div class="card card-glow">
-                <div class="card-body">
-                    <h2 class="h5 mb-3">Recensioni</h2>
-                    <div id="reviewsContainer"></div>
-                    ${
-                      user
-                        ? renderReviewForm(meal.id)
-                        : '<p class="text-muted">Effettua il login per lasciare una recensione.</p>'
-                    }
-                </div>
-            </div>
-        </div>
-    `;
+// Chiave di confronto tra ingredienti di dispensa e ricette: testo normalizzato,
+// parole al singolare e sinonimi ricondotti al nome canonico ("Scallions" → "spring onion")
+function getPantryKey(name) {
+  const key = normalizeSearchText(name).split(" ").map(singularizeIngredientWord).join(" ");
+  return PANTRY_SYNONYMS.get(key) ?? key;
+}
 
-  // Se l’utente è loggato, colleghiamo i vari handler (ricettario e recensioni)
-  if (user) {
-    // Pulsante per aggiungere/rimuovere la ricetta dal ricettario
-    document.getElementById("cookbookToggleBtn").addEventListener("click", () => {
-      updateCookbook(meal.id, !inCookbook);
-      // Ricarichiamo la stessa vista per riflettere lo stato aggiornato
-      initRecipeDetailView(meal.id);
-    });
-    // Gestione nota privata
-    const noteField = document.getElementById("cookbookNote");
-    noteField?.addEventListener("change", () => {
-      updateCookbookNote(meal.id, noteField.value);
-    });
-    // Gestione form recensione
-    const reviewForm = document.getElementById("reviewForm");
-    reviewForm?.addEventListener("submit", event => {
-      event.preventDefault();
-      handleReviewSubmit(meal.id, reviewForm);
-    });
-    // Se esiste già una recensione dell’utente, precompiliamo il form
-    populateReviewForm(meal.id, reviewForm);
-  }
-  // In ogni caso, mostriamo la lista delle recensioni esistenti
-  renderReviewsList(meal.id);
+// Un ingrediente della ricetta è coperto se è in dispensa (stessa chiave) oppure se, tolte le
+// parole descrittive di PANTRY.MODIFIERS e un taglio finale di PANTRY.CUTS, resta un ingrediente
+// in dispensa: "egg" copre "free range eggs" ma non "egg noodles", "chicken" copre
+// "boneless chicken thighs" ma non "chicken stock"
+function isIngredientCovered(key, pantryKeys) {
+  if (PANTRY.STAPLES.includes(key) || pantryKeys.has(key)) return true;
+  const words = key.split(" ").filter(word => !PANTRY.MODIFIERS.includes(word));
+  if (words.length > 1 && PANTRY.CUTS.includes(words.at(-1))) words.pop();
+  const core = words.join(" ");
+  return core !== key && pantryKeys.has(PANTRY_SYNONYMS.get(core) ?? core);
 }
 
-// Restituisce il markup HTML del form recensione da inserire nel dettaglio ricetta
-function renderReviewForm(mealId) {
-  const today = new Date().toISOString().split("T")[0];
-  return `
-        <hr class="border-secondary my-4" />
-        <h3 class="h6 text-uppercase">La tua recensione</h3>
-        <form id="reviewForm" class="mt-3" data-meal-id="${mealId}">
-            <div class="mb-2">
-                <label class="form-label" for="reviewDate">Data preparazione</label>
-                <input type="date" class="form-control" id="reviewDate" value="${today}" required />
-            </div>
-            <div class="mb-2">
-                <label class="form-label" for="reviewDifficulty">Difficoltà (1-5)</label>
-                <input type="number" class="form-control" id="reviewDifficulty" min="1" max="5" value="3" required />
-            </div>
-            <div class="mb-2">
-                <label class="form-label" for="reviewTaste">Gusto (1-5)</label>
-                <input type="number" class="form-control" id="reviewTaste" min="1" max="5" value="4" required />
-            </div>
-            <div class="mb-3">
-                <label class="form-label" for="reviewComment">Commento</label>
-                <textarea class="form-control" id="reviewComment" rows="2" placeholder="Note personali"></textarea>
-            </div>
-            <button class="btn btn-outline-accent w-100" type="submit">Salva recensione</button>
-        </form>
-    `;
+// Copertura di una ricetta da parte della dispensa: ingredienti coperti, totali e mancanti
+function matchMealWithPantry(meal, pantryKeys) {
+  const missing = meal.ingredients.filter(
+    item => !isIngredientCovered(getPantryKey(item.name), pantryKeys)
+  );
+  const total = meal.ingredients.length;
+  return { meal, total, covered: total - missing.length, missing };
 }
 
-// Se esiste una recensione precedente dell’utente per quella ricetta, riempie il form con i valori salvati
-function populateReviewForm(mealId, form) {
-  if (!form) return;
-  const user = getCurrentUser();
-  const existing = getReviews().find(
-    review => review.recipeId === mealId && review.userId === user?.id
+// Ordina le ricette per quota di ingredienti coperti (a parità, meno ingredienti mancanti);
+// le ricette che non usano nulla della dispensa vengono scartate
+function rankMealsByPantry(meals, pantry) {
+  const pantryKeys = new Set(pantry.map(getPantryKey));
+  return meals
+    .filter(meal => meal.ingredients.length > 0)
+    .map(meal => matchMealWithPantry(meal, pantryKeys))
+    .filter(match => match.covered > 0)
+    .sort(
+      (a, b) =>
+        b.covered / b.total - a.covered / a.total ||
+        a.missing.length - b.missing.length ||
+        a.meal.name.localeCompare(b.meal.name)
+    )
+    .slice(0, PANTRY.RESULTS);
+}
+
+// Scarica da TheMealDB ricette che usano gli ingredienti della dispensa (filter.php?i=):
+// prima quelle che compaiono nelle liste di più ingredienti, fino a FETCH_LIMIT nuove ricette.
+// Un ingrediente non raggiungibile viene saltato; l’annullamento risale al chiamante.
+// Restituisce false se TheMealDB non ha risposto per nessun ingrediente (es. offline).
+async function fetchPantryCandidates(pantry, options = {}) {
+  const lists = await Promise.all(
+    pantry.slice(0, PANTRY.SEARCH_INGREDIENTS).map(name =>
+      fetchMealIdsByFilter("i", name, options).catch(error => {
+        if (error.type === "aborted") throw error;
+        console.warn(`Ricette con ${name} non disponibili`, error);
+        return null;
+      })
+    )
   );
-  if (!existing) return;
-  form.querySelector("#reviewDate").value = existing.dataPreparazione;
-  form.querySelector("#reviewDifficulty").value = existing.difficolta;
-  form.querySelector("#reviewTaste").value = existing.gusto;
-  form.querySelector("#reviewComment").value = existing.commento ?? "";
+  const counts = new Map();
+  lists.flatMap(list => list ?? []).forEach(id => counts.set(id, (counts.get(id) ?? 0) + 1));
+  const cache = getMealsCache();
+  const ids = [...counts.keys()]
+    .filter(id => !cache[id])
+    .sort((a, b) => counts.get(b) - counts.get(a))
+    .slice(0, PANTRY.FETCH_LIMIT);
+  await fetchMealDetails(ids, options);
+  return lists.some(list => list !== null);
 }
 
-// Renderizza la lista delle recensioni per una determinata ricetta
-function renderReviewsList(mealId) {
-  const container = document.getElementById("reviewsContainer");
-  const reviews = getReviews().filter(review => review.recipeId === mealId);
-  if (reviews.length === 0) {
-    container.innerHTML = '<p class="text-muted">Ancora nessuna recensione per questa ricetta.</p>';
-    return;
-  }
-  const users = getUsers();
-  container.innerHTML = reviews
-    .map(review => {
-      const author = users.find(user => user.id === review.userId);
-      return `
-                <div class="border rounded border-secondary p-3 mb-3">
-                    <p class="small text-accent mb-1">${author?.username ?? "Utente"}</p>
-                    <p class="text-muted mb-1">Data: ${review.dataPreparazione}</p>
-                    <p class="mb-1">Difficoltà: <strong>${review.difficolta}/5</strong></p>
-                    <p class="mb-1">Gusto: <strong>${review.gusto}/5</strong></p>
-                    <p class="small">${review.commento || "Nessun commento disponibile."}</p>
-                </div>
-            `;
-    })
-    .join("");
+// Aggiunge alla lista della spesa gli ingredienti mancanti di una ricetta
+// (una seconda aggiunta della stessa ricetta non li duplica)
+function addMissingToShopping(meal, missing) {
+  const { extras } = getShoppingState(getCurrentUser());
+  const added = missing
+    .filter(
+      item =>
+        !extras.some(
+          extra =>
+            extra.mealId === meal.id && getIngredientKey(extra.name) === getIngredientKey(item.name)
+        )
+    )
+    .map(item => ({ mealId: meal.id, name: item.name, measure: item.measure }));
+  saveShoppingState({ extras: [...extras, ...added] });
+  return added.length;
 }
 
-// Gestisce il submit del form recensione (creazione/aggiornamento)
-function handleReviewSubmit(mealId, form) {
-  const user = getCurrentUser();
-  if (!user) {
-    window.location.hash = "#/login";
-    return;
-  }
-  const dataPreparazione = form.querySelector("#reviewDate").value;
-  const difficolta = Number(form.querySelector("#reviewDifficulty").value);
-  const gusto = Number(form.querySelector("#reviewTaste").value);
-  const commento = form.querySelector("#reviewComment").value.trim();
-  // Validazione minima
-  if (!dataPreparazione || difficolta < 1 || gusto < 1) {
-    return;
+// --------------------------
+// Ricette personali
+// --------------------------
+
+// Crea o aggiorna una ricetta personale nella stessa forma di normalizeMeal() (+ autore e date).
+// Una ricetta appena creata viene aggiunta al ricettario del suo autore.
+function savePersonalRecipe(ownerId, data) {
+  const recipes = getPersonalRecipes();
+  const now = new Date().toISOString();
+  const previous = data.id ? recipes[data.id] : null;
+  const recipe = {
+    id: previous?.id ?? generateId(PERSONAL_RECIPES.ID_PREFIX.slice(0, -1)),
+    name: data.name,
+    category: data.category || "",
+    area: data.area || "",
+    instructions: data.instructions || "",
+    thumbnail: data.thumbnail ?? "",
+    tags: data.tags ?? [],
+    youtube: "",
+    source: "",
+    ingredients: data.ingredients,
+    ownerId,
+    createdAt: previous?.createdAt ?? now,
+    updatedAt: now
+  };
+  recipes[recipe.id] = recipe;
+  savePersonalRecipes(recipes);
+  indexMeals([recipe]);
+  if (!previous) {
+    updateCookbook(recipe.id, true);
   }
-  const reviews = getReviews();
-  // Cerchiamo se esiste già una recensione dello stesso utente per quella ricetta
-  const existingIndex = reviews.findIndex(
-    review => review.recipeId === mealId && review.userId === user.id
+  return recipe;
+}
+
+// Elimina una ricetta personale insieme ai riferimenti: voci dei ricettari, planner e recensioni
+function deletePersonalRecipe(recipeId) {
+  const recipes = getPersonalRecipes();
+  if (!recipes[recipeId]) return;
+  delete recipes[recipeId];
+  savePersonalRecipes(recipes);
+  unindexMeals([recipeId]);
+  saveUsers(
+    getUsers().map(user => ({
+      ...user,
+      cookbook: (user.cookbook ?? []).filter(entry => entry.mealId !== recipeId),
+      planner: removeMealFromPlanner(user.planner ?? {}, recipeId)
+    }))
   );
-  const payload = {
-    id: existingIndex !== -1 ? reviews[existingIndex].id : generateId("review"),
-    recipeId: mealId,
-    userId: user.id,
-    dataPreparazione,
-    difficolta,
-    gusto,
-    commento
-  };
-  if (existingIndex !== -1) {
-    // Aggiorniamo la recensione esistente
-    reviews[existingIndex] = payload;
-  } else {
-    // Aggiungiamo una nuova recensione
-    reviews.push(payload);
+  saveReviews(getReviews().filter(review => review.recipeId !== recipeId));
+}
+
+// Legge un’immagine scelta dall’utente come data URL, ridimensionandola a THUMBNAIL_MAX_SIZE px
+// di lato (JPEG) per non appesantire lo storage. Se il ridimensionamento non è possibile
+// si usa il file originale, purché non superi THUMBNAIL_MAX_BYTES.
+async function readImageFile(file) {
+  if (!file.type.startsWith("image/")) {
+    throw new Error(t("recipeForm.imageNotImage"));
+  }
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(t("recipeForm.imageUnreadable")));
+    reader.readAsDataURL(file);
+  });
+  try {
+    const image = new Image();
+    image.src = dataUrl;
+    await image.decode();
+    const scale = Math.min(
+      1,
+      PERSONAL_RECIPES.THUMBNAIL_MAX_SIZE / Math.max(image.width, image.height)
+    );
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL("image/jpeg", 0.85);
+  } catch (error) {
+    if (file.size > PERSONAL_RECIPES.THUMBNAIL_MAX_BYTES) {
+      throw new Error(t("recipeForm.imageTooLarge"));
+    }
+    return dataUrl;
   }
-  saveReviews(reviews);
-  renderReviewsList(mealId);
 }
 
 // --------------------------
-// Cookbook helpers
+// Backup account (export/import)
 // --------------------------
 
-// Aggiunge o rimuove una ricetta dal ricettario dell’utente
-function updateCookbook(mealId, shouldAdd) {
-  const user = getCurrentUser();
-  if (!user) {
-    window.location.hash = "#/login";
-    return;
+// Costruisce il backup di un utente: profilo, ricettario con note, recensioni, ricette referenziate
+// e ricette personali scritte dall’utente (senza ownerId: all’import diventano dell’account corrente).
+// Le credenziali non vengono mai esportate: il backup si importa in un account già autenticato.
+function buildAccountBackup(user) {
+  const reviews = getReviews().filter(review => review.userId === user.id);
+  const mealIds = new Set([
+    ...(user.cookbook ?? []).map(entry => entry.mealId),
+    ...reviews.map(review => review.recipeId)
+  ]);
+  const cache = getMealsCache();
+  const meals = {};
+  mealIds.forEach(id => {
+    if (cache[id]) meals[id] = cache[id];
+  });
+  const recipes = Object.values(getPersonalRecipes())
+    .filter(recipe => recipe.ownerId === user.id)
+    .map(({ ownerId: _ownerId, ...recipe }) => recipe);
+  return {
+    format: BACKUP_FORMAT.NAME,
+    version: BACKUP_FORMAT.VERSION,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: {
+      username: user.username,
+      email: user.email,
+      favorites: user.favorites ?? ""
+    },
+    cookbook: user.cookbook ?? [],
+    collections: user.collections ?? [],
+    pantry: getPantry(user),
+    reviews: reviews.map(({ userId: _userId, ...review }) => review),
+    meals,
+    recipes
+  };
+}
+
+// Scarica il backup come file JSON
+function downloadAccountBackup(user) {
+  const backup = buildAccountBackup(user);
+  downloadFile(
+    `cybercuisine-${user.username}-${backup.exportedAt.split("T")[0]}.json`,
+    JSON.stringify(backup, null, 2),
+    "application/json"
+  );
+}
+
+// Controlla struttura e valori di un backup; lancia un Error con un messaggio leggibile se non è valido
+function validateAccountBackup(data) {
+  if (!data || data.format !== BACKUP_FORMAT.NAME) {
+    throw new Error(t("backup.errors.format"));
   }
-  const cookbook = [...(user.cookbook ?? [])];
-  const index = cookbook.findIndex(entry => entry.mealId === mealId);
-  if (shouldAdd && index === -1) {
-    cookbook.push({ mealId, note: "" });
+  if (!Number.isInteger(data.version) || data.version > BACKUP_FORMAT.VERSION) {
+    throw new Error(t("backup.errors.version"));
   }
-  if (!shouldAdd && index !== -1) {
-    cookbook.splice(index, 1);
+  if (Number(data.schemaVersion) > CURRENT_SCHEMA_VERSION) {
+    throw new Error(t("backup.errors.schema"));
   }
-  const updatedUser = { ...user, cookbook };
-  persistUser(updatedUser);
+  if (!Array.isArray(data.cookbook) || !Array.isArray(data.reviews)) {
+    throw new Error(t("backup.errors.missing"));
+  }
+  const cookbook = data.cookbook.map(entry => {
+    if (!entry?.mealId) throw new Error(t("backup.errors.cookbookEntry"));
+    return {
+      ...entry,
+      mealId: String(entry.mealId),
+      note: String(entry.note ?? ""),
+      addedAt: normalizeBackupDate(entry.addedAt),
+      collections: Array.isArray(entry.collections) ? entry.collections.map(String) : []
+    };
+  });
+  // Raccolte del ricettario: facoltative, i backup precedenti non le contengono
+  const collections = (Array.isArray(data.collections) ? data.collections : [])
+    .filter(collection => collection?.id && collection.name)
+    .map(collection => ({ id: String(collection.id), name: String(collection.name) }));
+  // Dispensa: facoltativa come le raccolte
+  const pantry = (Array.isArray(data.pantry) ? data.pantry : [])
+    .map(name => String(name ?? "").trim())
+    .filter(Boolean);
+  const reviews = data.reviews.map(review => {
+    const difficolta = Number(review?.difficolta);
+    const gusto = Number(review?.gusto);
+    const validScore = score => Number.isInteger(score) && score >= 1 && score <= 5;
+    if (
+      !review?.recipeId ||
+      !review.dataPreparazione ||
+      !validScore(difficolta) ||
+      !validScore(gusto)
+    ) {
+      throw new Error(t("backup.errors.review"));
+    }
+    return {
+      ...review,
+      recipeId: String(review.recipeId),
+      difficolta,
+      gusto,
+      commento: String(review.commento ?? ""),
+      modifiche: String(review.modifiche ?? "")
+    };
+  });
+  // Backup precedenti possono contenere i testi italiani dei valori mancanti (clearLegacyPlaceholders)
+  const meals = Object.values(data.meals ?? {})
+    .filter(
+      meal =>
+        meal?.id && !isPersonalRecipeId(meal.id) && meal.name && Array.isArray(meal.ingredients)
+    )
+    .map(clearLegacyPlaceholders);
+  // Le ricette personali sono facoltative (backup precedenti non le contengono)
+  if (data.recipes !== undefined && !Array.isArray(data.recipes)) {
+    throw new Error(t("backup.errors.recipes"));
+  }
+  const recipes = (data.recipes ?? []).map(recipe => {
+    if (!isPersonalRecipeId(recipe?.id) || !recipe.name || !Array.isArray(recipe.ingredients)) {
+      throw new Error(t("backup.errors.recipe"));
+    }
+    // Stessi campi e valori predefiniti di savePersonalRecipe(): form e viste li danno per presenti
+    return clearLegacyPlaceholders({
+      ...recipe,
+      name: String(recipe.name),
+      category: String(recipe.category || ""),
+      area: String(recipe.area || ""),
+      instructions: String(recipe.instructions || ""),
+      thumbnail: String(recipe.thumbnail ?? ""),
+      tags: Array.isArray(recipe.tags) ? recipe.tags.map(String) : [],
+      ingredients: recipe.ingredients
+        .map(item => ({
+          name: String(item?.name ?? "").trim(),
+          measure: String(item?.measure ?? "")
+        }))
+        .filter(item => item.name)
+    });
+  });
+  return {
+    profile: { favorites: String(data.profile?.favorites ?? "") },
+    cookbook,
+    collections,
+    pantry,
+    reviews,
+    meals,
+    recipes
+  };
 }
 
-// Aggiorna la nota privata associata a una ricetta nel ricettario
-function updateCookbookNote(mealId, note) {
-  const user = getCurrentUser();
-  if (!user) return;
-  const cookbook = [...(user.cookbook ?? [])];
-  const index = cookbook.findIndex(entry => entry.mealId === mealId);
-  if (index === -1) return;
-  cookbook[index] = { ...cookbook[index], note };
-  const updatedUser = { ...user, cookbook };
-  persistUser(updatedUser);
+// Data di un backup (es. addedAt delle voci del ricettario) in formato ISO,
+// oppure null se manca o non è una stringa che rappresenta una data valida
+function normalizeBackupDate(value) {
+  if (typeof value !== "string") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Applica un backup validato all’utente indicato.
+// - "replace": ricettario e recensioni dell’utente vengono sostituiti da quelli del file
+// - "merge": si aggiunge solo ciò che manca; le preparazioni già presenti (stesso id, oppure
+//   stessa ricetta, data e punteggi) non vengono duplicate
+// Le recensioni importate il cui id è già usato da un’altra recensione ricevono un nuovo id.
+// Le ricette personali il cui id appartiene già a un altro utente ricevono un nuovo id,
+// e le voci del ricettario e le recensioni del backup vengono ricollegate al nuovo id.
+function importAccountBackup(userId, backup, mode) {
+  const user = getUsers().find(u => u.id === userId);
+  if (!user) return { cookbook: 0, reviews: 0, recipes: 0 };
+  cacheMeals(backup.meals);
+
+  const personalRecipes = getPersonalRecipes();
+  const remappedIds = new Map();
+  const importedRecipes = backup.recipes.map(recipe => {
+    let id = recipe.id;
+    if ((personalRecipes[id]?.ownerId ?? userId) !== userId) {
+      do {
+        id = generateId(PERSONAL_RECIPES.ID_PREFIX.slice(0, -1));
+      } while (personalRecipes[id]);
+      remappedIds.set(recipe.id, id);
+    }
+    return { ...recipe, id, ownerId: userId };
+  });
+  importedRecipes.forEach(recipe => {
+    personalRecipes[recipe.id] = recipe;
+  });
+  savePersonalRecipes(personalRecipes);
+  indexMeals(importedRecipes);
+  const remapId = id => remappedIds.get(id) ?? id;
+
+  const collections = mode === "replace" ? [] : [...(user.collections ?? [])];
+  backup.collections.forEach(collection => {
+    if (!collections.some(item => item.id === collection.id)) collections.push(collection);
+  });
+  const collectionIds = new Set(collections.map(collection => collection.id));
+
+  const merged = mode === "replace" ? [] : [...(user.cookbook ?? [])];
+  backup.cookbook.forEach(backupEntry => {
+    const entry = { ...backupEntry, mealId: remapId(backupEntry.mealId) };
+    const index = merged.findIndex(item => item.mealId === entry.mealId);
+    if (index === -1) {
+      merged.push(entry);
+      return;
+    }
+    // Stessa ricetta in entrambi: uniamo note e raccolte invece di perderne una
+    const existing = { ...merged[index] };
+    if (entry.note && !existing.note.includes(entry.note)) {
+      existing.note = existing.note ? `${existing.note}\n${entry.note}` : entry.note;
+    }
+    existing.collections = [...new Set([...(existing.collections ?? []), ...entry.collections])];
+    merged[index] = existing;
+  });
+  // Le voci non possono riferirsi a raccolte che l’utente non ha
+  // (nuovi oggetti: le voci non ancora unite sono quelle dell’utente in memoria)
+  const cookbook = merged.map(entry => ({
+    ...entry,
+    collections: (entry.collections ?? []).filter(id => collectionIds.has(id))
+  }));
+  const favorites =
+    mode === "replace" ? backup.profile.favorites : user.favorites || backup.profile.favorites;
+  // Dispensa: in unione si aggiungono solo gli ingredienti non già presenti (anche come sinonimi)
+  const pantry = mode === "replace" ? [] : [...getPantry(user)];
+  backup.pantry.forEach(name => {
+    if (!pantry.some(item => getPantryKey(item) === getPantryKey(name))) pantry.push(name);
+  });
+  persistUser({ ...user, favorites, cookbook, collections, pantry });
+
+  let reviews = getReviews();
+  if (mode === "replace") {
+    reviews = reviews.filter(review => review.userId !== userId);
+  }
+  const usedIds = new Set(reviews.map(review => review.id));
+  let imported = 0;
+  backup.reviews.forEach(backupReview => {
+    const review = { ...backupReview, recipeId: remapId(backupReview.recipeId) };
+    const duplicate = reviews.some(
+      item =>
+        item.userId === userId &&
+        (item.id === review.id ||
+          (item.recipeId === review.recipeId &&
+            item.dataPreparazione === review.dataPreparazione &&
+            item.gusto === review.gusto &&
+            item.difficolta === review.difficolta &&
+            item.commento === review.commento))
+    );
+    if (duplicate) return;
+    let id = review.id;
+    while (!id || usedIds.has(id)) {
+      id = generateId("review");
+    }
+    usedIds.add(id);
+    reviews.push({ ...review, id, userId });
+    imported += 1;
+  });
+  saveReviews(reviews);
+  return { cookbook: cookbook.length, reviews: imported, recipes: importedRecipes.length };
 }
 
 // --------------------------
@@ -1049,14 +5969,145 @@ function updateCookbookNote(mealId, note) {
 // --------------------------
 
 // Mostra un messaggio di alert Bootstrap in un elemento già presente nel DOM
-// type può essere "danger" (errore) o "success" (conferma)
+// type può essere "danger" (errore), "success" (conferma) o "warning" (avviso)
 function showAlert(element, message, type = "danger") {
   if (!element) return;
   element.textContent = message;
-  element.classList.remove("d-none", "alert-danger", "alert-success");
+  element.classList.remove("d-none", "alert-danger", "alert-success", "alert-warning");
   element.classList.add(`alert-${type}`);
 }
 
+// Conversioni tra byte e Base64, usate per salvare salt e hash delle password come stringhe
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// Confronto tra stringhe a tempo costante: non interrompe il ciclo al primo carattere diverso
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+// Markup HTML considerato sicuro: prodotto da html`...` oppure dichiarato fidato con trustedHtml()
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+// Tag per i template HTML: tutti i valori interpolati vengono escapati, tranne SafeHtml
+// (es. il risultato di un altro html`...`). Gli array vengono concatenati, null/undefined/false
+// non producono nulla. Da usare per ogni innerHTML che contiene dati di utenti o di TheMealDB:
+//   element.innerHTML = html`<h3>${meal.name}</h3>${items.map(item => html`<li>${item}</li>`)}`;
+function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, i) => {
+    markup += renderHtmlValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(markup);
+}
+
+// Dichiara esplicitamente fidata una stringa di markup (solo per costanti scritte nel codice)
+function trustedHtml(markup) {
+  return new SafeHtml(markup);
+}
+
+// Converte un valore interpolato in html`...` nel testo da inserire nel markup
+function renderHtmlValue(value) {
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(renderHtmlValue).join("");
+  if (value === null || value === undefined || value === false) return "";
+  return escapeHtml(String(value));
+}
+
+// Fa scaricare al browser un file generato dall’app, tramite un link temporaneo a un Blob
+function downloadFile(name, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Escape dei caratteri speciali HTML: il testo resta testo anche dentro gli attributi tra virgolette
+function escapeHtml(text) {
+  const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+  return text.replace(/[&<>"']/g, char => entities[char]);
+}
+
+// Mostra un avviso globale (sopra la vista corrente), ad esempio per errori di salvataggio
+function showAppNotice(message, type = "warning") {
+  const container = document.getElementById("ccNotice");
+  if (!container) return;
+  container.innerHTML = html`
+    <div class="alert alert-${type} alert-dismissible fade show mt-3" role="alert">
+      <span></span>
+      <button
+        type="button"
+        class="btn-close"
+        data-bs-dismiss="alert"
+        aria-label="${t("common.close")}"
+      ></button>
+    </div>
+  `;
+  container.querySelector("span").textContent = message;
+}
+
+// decodeURIComponent che non lancia eccezioni su sequenze “%” non valide (restituisce il testo così com’è)
+function safeDecodeURIComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Attende ms millisecondi; se il signal viene annullato interrompe l’attesa con un ApiError "aborted"
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new ApiError("aborted", "Richiesta annullata"));
+      },
+      { once: true }
+    );
+  });
+}
+
+// Esegue worker su ogni elemento con al massimo "limit" esecuzioni contemporanee,
+// mantenendo l’ordine dei risultati come in Promise.all
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
 // Generatore generico di id testuali per user/review, basato su timestamp e random
 function generateId(prefix) {
   return `${prefix}_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
@@ -0,0 +1,135 @@
+// Service worker di CyberCuisine – rende la SPA utilizzabile anche senza rete
+// Si trova nella radice di src/ così il suo scope copre html/, css/ e js/
+
+// Nomi delle cache: cambiando la versione, le cache vecchie vengono eliminate in "activate"
+const CACHE_VERSION = "v1";
+const CACHE_NAMES = {
+  SHELL: `cc-shell-${CACHE_VERSION}`,
+  API: `cc-api-${CACHE_VERSION}`,
+  IMAGES: `cc-images-${CACHE_VERSION}`,
+  VENDOR: `cc-vendor-${CACHE_VERSION}`
+};
+
+// File dell’app shell precaricati all’installazione (percorsi relativi a src/)
+const PRECACHE_URLS = [
+  "./html/index.html",
+  "./html/home.html",
+  "./html/login.html",
+  "./html/register.html",
+  "./html/profile.html",
+  "./html/search.html",
+  "./html/cookbook.html",
+  "./html/reviews.html",
+  "./html/recipe-detail.html",
+  "./html/recipe-form.html",
+  "./html/shopping.html",
+  "./html/planner.html",
+  "./html/cooking.html",
+  "./html/pantry.html",
+  "./assets/json/i18n/it.json",
+  "./assets/json/i18n/en.json",
+  "./css/main.css",
+  "./js/main.js"
+];
+
+// Origini esterne gestite a runtime
+const MEALDB_ORIGIN = "https://www.themealdb.com";
+const VENDOR_ORIGINS = [
+  "https://cdn.jsdelivr.net",
+  "https://fonts.googleapis.com",
+  "https://fonts.gstatic.com"
+];
+
+// Numero massimo di immagini tenute in cache (le più vecchie vengono rimosse)
+const MAX_CACHED_IMAGES = 300;
+
+// Installazione: precarichiamo l’app shell e attiviamo subito il nuovo service worker
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAMES.SHELL)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Attivazione: eliminiamo le cache di versioni precedenti e prendiamo il controllo delle pagine aperte
+self.addEventListener("activate", event => {
+  const current = Object.values(CACHE_NAMES);
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys =>
+        Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Smistamento delle richieste GET in base a origine e tipo di risorsa
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (url.origin === MEALDB_ORIGIN) {
+    // JSON delle API: rete prima (dati aggiornati), cache se offline
+    // Thumbnail: cache prima, non cambiano mai per la stessa URL
+    if (url.pathname.startsWith("/api/")) {
+      event.respondWith(networkFirst(request, CACHE_NAMES.API));
+    } else {
+      event.respondWith(cacheFirst(request, CACHE_NAMES.IMAGES, MAX_CACHED_IMAGES));
+    }
+    return;
+  }
+  if (VENDOR_ORIGINS.includes(url.origin)) {
+    event.respondWith(cacheFirst(request, CACHE_NAMES.VENDOR));
+    return;
+  }
+  if (url.origin === self.location.origin) {
+    // App shell: rete prima per ricevere subito gli aggiornamenti, cache come fallback offline
+    event.respondWith(networkFirst(request, CACHE_NAMES.SHELL));
+  }
+});
+
+// Strategia network-first: se la rete risponde aggiorniamo la cache, altrimenti usiamo la copia salvata
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    // ignoreSearch solo per l’app shell: index.html può essere aperto con parametri diversi
+    const cached = await cache.match(request, { ignoreSearch: cacheName === CACHE_NAMES.SHELL });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Strategia cache-first: la rete viene usata solo se la risorsa non è ancora in cache
+async function cacheFirst(request, cacheName, maxEntries = 0) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Le immagini cross-origin senza CORS arrivano "opaque" (status 0): le salviamo comunque
+  if (response.ok || response.type === "opaque") {
+    await cache.put(request, response.clone());
+    if (maxEntries > 0) {
+      trimCache(cache, maxEntries);
+    }
+  }
+  return response;
+}
+
+// Rimuove le voci più vecchie finché la cache non rientra nel limite
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  const excess = keys.length - maxEntries;
+  for (let i = 0; i < excess; i += 1) {
+    await cache.delete(keys[i]);
+  }
+}
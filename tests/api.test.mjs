@@ -0,0 +1,61 @@
+// Client TheMealDB (queryApi): condivisione delle richieste identiche e annullamento
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadApp } from "./helpers/load-app.mjs";
+
+// fetch finta: ogni chiamata resta in sospeso finché il test non la risolve (o viene annullata)
+function createPendingFetch() {
+  const calls = [];
+  const fetch = (url, { signal } = {}) =>
+    new Promise((resolve, reject) => {
+      const call = {
+        url,
+        respond: body => resolve({ ok: true, status: 200, json: async () => body })
+      };
+      calls.push(call);
+      signal?.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")));
+    });
+  return { fetch, calls };
+}
+
+test("richieste identiche in corso condividono una sola fetch", async () => {
+  const { fetch, calls } = createPendingFetch();
+  const app = loadApp({ fetch });
+  const queryApi = app.run("queryApi");
+  const first = queryApi("search.php?s=curry");
+  const second = queryApi("search.php?s=curry");
+  assert.equal(calls.length, 1);
+  calls[0].respond({ meals: [] });
+  assert.deepEqual(await first, { meals: [] });
+  assert.deepEqual(await second, { meals: [] });
+});
+
+test("una richiesta identica subito dopo l’annullamento avvia una nuova fetch", async () => {
+  const { fetch, calls } = createPendingFetch();
+  const app = loadApp({ fetch });
+  const queryApi = app.run("queryApi");
+  const controller = new AbortController();
+  const aborted = queryApi("search.php?s=curry", { signal: controller.signal });
+  // Come runSearch(): annulla la ricerca precedente e riparte subito, senza attese
+  controller.abort();
+  const repeated = queryApi("search.php?s=curry");
+  await assert.rejects(aborted, { type: "aborted" });
+  assert.equal(calls.length, 2);
+  calls[1].respond({ meals: [{ idMeal: "1" }] });
+  assert.deepEqual(await repeated, { meals: [{ idMeal: "1" }] });
+  assert.equal(app.run("appState").apiInFlight.size, 0);
+});
+
+test("la fetch condivisa continua finché qualcuno la aspetta", async () => {
+  const { fetch, calls } = createPendingFetch();
+  const app = loadApp({ fetch });
+  const queryApi = app.run("queryApi");
+  const controller = new AbortController();
+  const aborted = queryApi("lookup.php?i=1", { signal: controller.signal });
+  const waiting = queryApi("lookup.php?i=1");
+  controller.abort();
+  await assert.rejects(aborted, { type: "aborted" });
+  calls[0].respond({ meals: null });
+  assert.deepEqual(await waiting, { meals: null });
+  assert.equal(calls.length, 1);
+});
@@ -0,0 +1,121 @@
+// Backup dell’account: validazione del file e import nei dati dell’utente corrente
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadApp } from "./helpers/load-app.mjs";
+
+// Backup minimo valido, con i campi indicati sovrascritti
+function createBackup(app, overrides = {}) {
+  return {
+    format: app.run("BACKUP_FORMAT.NAME"),
+    version: app.run("BACKUP_FORMAT.VERSION"),
+    schemaVersion: app.run("CURRENT_SCHEMA_VERSION"),
+    profile: { favorites: "" },
+    cookbook: [],
+    reviews: [],
+    meals: {},
+    recipes: [],
+    ...overrides
+  };
+}
+
+function seedUsers(app) {
+  app.seed("USERS", [
+    { id: "user_1", username: "anna", email: "anna@example.com", cookbook: [] },
+    { id: "user_2", username: "bruno", email: "bruno@example.com", cookbook: [] }
+  ]);
+}
+
+test("le ricette personali importate ricevono i campi predefiniti", () => {
+  const app = loadApp();
+  const { recipes } = app.run("validateAccountBackup")(
+    createBackup(app, {
+      recipes: [{ id: "personal_1", name: "Zuppa", ingredients: [{ name: "Farro" }, {}] }]
+    })
+  );
+  // structuredClone: gli oggetti creati nel contesto vm hanno prototipi diversi da quelli del test
+  assert.deepEqual(structuredClone(recipes[0]), {
+    id: "personal_1",
+    name: "Zuppa",
+    category: "",
+    area: "",
+    instructions: "",
+    thumbnail: "",
+    tags: [],
+    ingredients: [{ name: "Farro", measure: "" }]
+  });
+});
+
+test("una ricetta personale con id di un altro utente viene importata con un nuovo id", () => {
+  const app = loadApp();
+  seedUsers(app);
+  const foreign = { id: "personal_1", name: "Di Bruno", ingredients: [], ownerId: "user_2" };
+  app.seed("RECIPES", { personal_1: foreign });
+  const backup = app.run("validateAccountBackup")(
+    createBackup(app, {
+      recipes: [{ id: "personal_1", name: "Di Anna", ingredients: [{ name: "Riso" }] }],
+      cookbook: [{ mealId: "personal_1", note: "buona" }],
+      reviews: [
+        {
+          id: "r1",
+          recipeId: "personal_1",
+          dataPreparazione: "2026-01-02",
+          difficolta: 2,
+          gusto: 5
+        }
+      ]
+    })
+  );
+  const result = app.run("importAccountBackup")("user_1", backup, "merge");
+  assert.equal(result.recipes, 1);
+
+  const recipes = app.run("getPersonalRecipes()");
+  assert.deepEqual(recipes.personal_1, foreign);
+  const imported = Object.values(recipes).find(recipe => recipe.ownerId === "user_1");
+  assert.notEqual(imported.id, "personal_1");
+  assert.equal(imported.name, "Di Anna");
+
+  const user = app.run("getUsers()").find(item => item.id === "user_1");
+  assert.deepEqual(
+    user.cookbook.map(entry => entry.mealId),
+    [imported.id]
+  );
+  assert.deepEqual(
+    app.run("getReviews()").map(review => review.recipeId),
+    [imported.id]
+  );
+});
+
+test("addedAt del ricettario accettato solo se è una data valida", () => {
+  const app = loadApp();
+  const { cookbook } = app.run("validateAccountBackup")(
+    createBackup(app, {
+      cookbook: [
+        { mealId: "1", addedAt: "2026-03-05T10:00:00.000Z" },
+        { mealId: "2", addedAt: 1772704800000 },
+        { mealId: "3", addedAt: { date: "2026-03-05" } },
+        { mealId: "4", addedAt: "ieri" },
+        { mealId: "5" }
+      ]
+    })
+  );
+  assert.deepEqual(
+    cookbook.map(entry => entry.addedAt),
+    ["2026-03-05T10:00:00.000Z", null, null, null, null]
+  );
+});
+
+test("i testi italiani dei valori mancanti nei backup precedenti vengono svuotati", () => {
+  const app = loadApp();
+  const legacy = { category: "N/D", area: "N/D", instructions: "Istruzioni non disponibili" };
+  const { meals, recipes } = app.run("validateAccountBackup")(
+    createBackup(app, {
+      meals: { 52771: { id: "52771", name: "Arrabiata", ingredients: [], ...legacy } },
+      recipes: [{ id: "personal_1", name: "Zuppa", ingredients: [], ...legacy }]
+    })
+  );
+  [meals[0], recipes[0]].forEach(recipe => {
+    assert.equal(recipe.category, "");
+    assert.equal(recipe.area, "");
+    assert.equal(recipe.instructions, "");
+  });
+});
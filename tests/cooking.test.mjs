@@ -0,0 +1,57 @@
+// Modalità cucina: divisione delle istruzioni in passaggi e durate trasformate in timer
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadApp } from "./helpers/load-app.mjs";
+
+// Solo testo e durata dei timer trovati (start/end servono al rendering)
+function timersOf(app, step) {
+  return [...app.run("detectStepTimers")(step)].map(({ label, seconds }) => ({ label, seconds }));
+}
+
+test("splitInstructionSteps usa le righe e toglie le numerazioni", () => {
+  const split = loadApp().run("splitInstructionSteps");
+  assert.deepEqual(
+    [...split("STEP 1: Boil the water.\r\n\r\n2. Add the pasta.\n3\nDrain.")],
+    ["Boil the water.", "Add the pasta.", "Drain."]
+  );
+});
+
+test("splitInstructionSteps divide per frasi un testo su una sola riga", () => {
+  const split = loadApp().run("splitInstructionSteps");
+  assert.deepEqual(
+    [...split("Preheat oven to 180C. Bake for 25 minutes! Serve hot.")],
+    ["Preheat oven to 180C.", "Bake for 25 minutes!", "Serve hot."]
+  );
+  assert.deepEqual([...split("")], []);
+});
+
+test("negli intervalli vale il valore minimo", () => {
+  const app = loadApp();
+  assert.deepEqual(timersOf(app, "Simmer for 10-15 mins."), [
+    { label: "10-15 mins", seconds: 600 }
+  ]);
+});
+
+test("le durate composte diventano un unico timer", () => {
+  const app = loadApp();
+  assert.deepEqual(timersOf(app, "Roast for 1 hour 30 minutes, then rest 5 minutes."), [
+    { label: "1 hour 30 minutes", seconds: 5400 },
+    { label: "5 minutes", seconds: 300 }
+  ]);
+});
+
+test("l’articolo vale come uno per ore e minuti", () => {
+  const app = loadApp();
+  assert.deepEqual(timersOf(app, "Lasciare riposare un'ora, poi cuocere un minuto."), [
+    { label: "un'ora", seconds: 3600 },
+    { label: "un minuto", seconds: 60 }
+  ]);
+  assert.deepEqual(timersOf(app, "Chill for an hour."), [{ label: "an hour", seconds: 3600 }]);
+});
+
+test("“a second” senza numero non è una durata", () => {
+  const app = loadApp();
+  assert.deepEqual(timersOf(app, "Repeat with a second layer of pasta."), []);
+  assert.deepEqual(timersOf(app, "Aggiungere un secondo strato di pasta."), []);
+  assert.deepEqual(timersOf(app, "Whisk for 30 seconds."), [{ label: "30 seconds", seconds: 30 }]);
+});
@@ -0,0 +1,154 @@
+// Escape dei dati di utenti e TheMealDB: stringhe ostili in ogni campo non devono mai
+// diventare markup attivo nei renderer (html`...`, card, recensioni, ricette personali)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadApp } from "./helpers/load-app.mjs";
+
+// Payload che chiudono un attributo o un tag, con apici singoli e “&”
+const HOSTILE = `"><img src=x onerror=alert(1)>'&amp;`;
+const BENIGN = "Pasta al forno";
+
+// Struttura del markup: sequenza dei tag con i nomi dei loro attributi, senza testi né valori.
+// Se i dati vengono escapati, quelli ostili producono la stessa struttura di quelli innocui.
+function markupStructure(markup) {
+  return [...String(markup).matchAll(/<(\/?[a-zA-Z][\w-]*)([^>]*)>/g)].map(
+    ([, tag, attributes]) =>
+      `${tag}[${[...attributes.matchAll(/([^\s="']+)(?:="[^"]*")?/g)].map(match => match[1]).join(" ")}]`
+  );
+}
+
+function assertInert(hostileMarkup, benignMarkup) {
+  assert.deepEqual(markupStructure(hostileMarkup), markupStructure(benignMarkup));
+  assert.ok(!String(hostileMarkup).includes("<img src=x"), "tag <img> iniettato");
+  assert.ok(
+    String(hostileMarkup).includes("&lt;img src=x onerror=alert(1)&gt;"),
+    "payload assente"
+  );
+}
+
+function createMeal(text, overrides = {}) {
+  return {
+    id: text === BENIGN ? "52771" : text,
+    name: text,
+    category: text,
+    area: text,
+    instructions: `${text}\n${text}`,
+    thumbnail: text === BENIGN ? "https://example.com/a.jpg" : `x" onerror="alert(1)`,
+    tags: [text],
+    ingredients: [{ name: text, measure: text }],
+    ...overrides
+  };
+}
+
+function createReview(text) {
+  return {
+    id: "review_1",
+    recipeId: "52771",
+    userId: "user_1",
+    dataPreparazione: "2026-03-05",
+    difficolta: 3,
+    gusto: 4,
+    commento: text,
+    modifiche: text
+  };
+}
+
+test("escapeHtml sostituisce tutti i caratteri speciali", () => {
+  const escapeHtml = loadApp().run("escapeHtml");
+  assert.equal(
+    escapeHtml(`<a href="x" title='y'>&</a>`),
+    "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;"
+  );
+});
+
+test("html escapa le interpolazioni ma non i frammenti html annidati", () => {
+  const app = loadApp();
+  const html = app.run("html");
+  const markup = String(html`<p title="${HOSTILE}">${HOSTILE}${html`<b>${HOSTILE}</b>`}</p>`);
+  assertInert(markup, String(html`<p title="${BENIGN}">${BENIGN}${html`<b>${BENIGN}</b>`}</p>`));
+  assert.ok(markup.includes("<b>"));
+  assert.ok(markup.includes("&#39;&amp;amp;"), "apice e & non escapati");
+  assert.equal(String(html`${[HOSTILE, null, false, undefined]}`), app.run("escapeHtml")(HOSTILE));
+});
+
+test("renderMealCard", () => {
+  const app = loadApp();
+  const render = app.run("renderMealCard");
+  const rating = { taste: 4, difficulty: 2, count: 3, distribution: [0, 0, 1, 1, 1] };
+  assertInert(render(createMeal(HOSTILE), rating), render(createMeal(BENIGN), rating));
+});
+
+test("renderCookbookCard con nota e raccolte", () => {
+  const app = loadApp();
+  const render = app.run("renderCookbookCard");
+  const card = text =>
+    render(
+      createMeal(text),
+      { mealId: "52771", note: text, addedAt: "2026-03-05T10:00:00Z", collections: ["c1"] },
+      [{ id: "c1", name: text }]
+    );
+  assertInert(card(HOSTILE), card(BENIGN));
+});
+
+test("renderReviewCard", () => {
+  const app = loadApp();
+  const render = app.run("renderReviewCard");
+  assertInert(
+    render(createReview(HOSTILE), createMeal(HOSTILE)),
+    render(createReview(BENIGN), createMeal(BENIGN))
+  );
+});
+
+test("renderProfileInfo con username, email e preferiti", () => {
+  const renderProfile = text => {
+    const app = loadApp();
+    app.run("renderProfileInfo")({
+      id: "user_1",
+      username: text,
+      email: text,
+      favorites: text,
+      cookbook: []
+    });
+    return app.markupOf("profileInfo");
+  };
+  assertInert(renderProfile(HOSTILE), renderProfile(BENIGN));
+});
+
+test("elenco, timeline e riepilogo delle recensioni di una ricetta", () => {
+  const renderList = text => {
+    const app = loadApp();
+    app.seed("USERS", [{ id: "user_1", username: text, email: "a@b.it", cookbook: [] }]);
+    app.seed("REVIEWS", [createReview(text)]);
+    app.run("startSession")({ id: "user_1" });
+    app.run("renderReviewsList")("52771");
+    return ["reviewsContainer", "reviewsTimeline", "reviewsSummary"].map(app.markupOf).join("");
+  };
+  assertInert(renderList(HOSTILE), renderList(BENIGN));
+});
+
+test("dettaglio di una ricetta personale", async () => {
+  const renderDetail = async text => {
+    const app = loadApp();
+    const recipe = createMeal(text, { id: "personal_1", ownerId: "user_1" });
+    app.seed("USERS", [{ id: "user_1", username: text, email: "a@b.it", cookbook: [] }]);
+    app.seed("RECIPES", { personal_1: recipe });
+    app.run("startSession")({ id: "user_1" });
+    await app.run("initRecipeDetailView")({ params: { id: "personal_1" } });
+    return ["recipeDetail", "recipeIngredientsList"].map(app.markupOf).join("");
+  };
+  assertInert(await renderDetail(HOSTILE), await renderDetail(BENIGN));
+});
+
+test("form di modifica di una ricetta personale", async () => {
+  const renderForm = async text => {
+    // Liste di categorie e cucine vuote: il form le usa solo per i suggerimenti
+    const app = loadApp({ fetch: async () => ({ ok: true, status: 200, json: async () => ({}) }) });
+    const recipe = createMeal(text, { id: "personal_1", ownerId: "user_1" });
+    app.seed("USERS", [{ id: "user_1", username: text, email: "a@b.it", cookbook: [] }]);
+    app.seed("RECIPES", { personal_1: recipe });
+    app.run("startSession")({ id: "user_1" });
+    await app.run("initRecipeFormView")({ params: { id: "personal_1" } });
+    return app.markupOf("recipeIngredients");
+  };
+  assertInert(await renderForm(HOSTILE), await renderForm(BENIGN));
+});
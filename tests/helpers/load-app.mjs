@@ -0,0 +1,113 @@
+// Carica src/js/main.js in un contesto vm isolato, senza browser né dipendenze esterne.
+// Funzioni e costanti dichiarate nello script restano nel contesto: app.run("espressione")
+// le valuta come farebbe la console del browser (es. app.run("escapeHtml")).
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+
+const SRC = new URL("../../src/", import.meta.url);
+
+const readSource = path => readFileSync(new URL(path, SRC), "utf8");
+
+// fetch di default: rete assente, come un browser offline
+const offlineFetch = async () => {
+  throw new TypeError("Failed to fetch");
+};
+
+// Web Storage in memoria (localStorage / sessionStorage)
+class MemoryStorage {
+  #items = new Map();
+
+  get length() {
+    return this.#items.size;
+  }
+
+  key(index) {
+    return [...this.#items.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.#items.get(key) ?? null;
+  }
+
+  setItem(key, value) {
+    this.#items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+}
+
+// Elemento finto: registra innerHTML (anche da insertAdjacentHTML) e accetta qualsiasi altra
+// chiamata (listener, focus, ...) senza effetti. Basta alle viste per produrre il markup.
+function createFakeElement() {
+  const state = { innerHTML: "", textContent: "", value: "", dataset: {}, style: {} };
+  const classList = { add() {}, remove() {}, toggle() {}, contains: () => false };
+  return new Proxy(state, {
+    get(target, key) {
+      if (key in target) return target[key];
+      if (typeof key === "symbol") return undefined;
+      if (key === "classList") return classList;
+      if (key === "insertAdjacentHTML") {
+        return (_position, markup) => {
+          target.innerHTML = `${target.innerHTML}${markup}`;
+        };
+      }
+      if (key === "querySelectorAll") return () => [];
+      if (key === "querySelector" || key === "closest") return () => null;
+      return () => {};
+    }
+  });
+}
+
+// Documento finto: getElementById restituisce sempre lo stesso elemento finto per ogni id
+function createFakeDocument() {
+  const elements = new Map();
+  return {
+    addEventListener() {},
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    getElementById(id) {
+      if (!elements.has(id)) elements.set(id, createFakeElement());
+      return elements.get(id);
+    }
+  };
+}
+
+export function loadApp({ fetch = offlineFetch } = {}) {
+  const document = createFakeDocument();
+  const context = vm.createContext({
+    console,
+    setTimeout,
+    clearTimeout,
+    structuredClone,
+    AbortController,
+    AbortSignal,
+    DOMException,
+    Blob,
+    crypto,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    fetch,
+    navigator: { onLine: true, language: "it-IT", languages: ["it-IT", "it"] },
+    localStorage: new MemoryStorage(),
+    sessionStorage: new MemoryStorage(),
+    // initApp non parte: il listener DOMContentLoaded viene solo registrato
+    document
+  });
+  vm.runInContext(readSource("js/main.js"), context, { filename: "main.js" });
+  const run = code => vm.runInContext(code, context);
+  // Storage inizializzato come da initStorage(), ma con i dati in memoria
+  run("storageState").adapter = run("createLocalStorageAdapter()");
+  // Catalogo italiano già disponibile, come dopo setLocale(DEFAULT_LOCALE) all’avvio
+  run("appState").catalogues.it = JSON.parse(readSource("assets/json/i18n/it.json"));
+  return {
+    context,
+    run,
+    // Markup scritto dalle viste nell’elemento con l’id indicato
+    markupOf: id => String(document.getElementById(id).innerHTML),
+    // Salva una chiave dello storage (es. seed("USERS", [...]) per STORAGE_KEYS.USERS)
+    seed: (key, value) => run("saveToStorage")(run("STORAGE_KEYS")[key], value)
+  };
+}
@@ -0,0 +1,65 @@
+// Lingue e traduzioni: scelta della lingua, testi del catalogo e valori mancanti delle ricette
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { loadApp } from "./helpers/load-app.mjs";
+
+// App con anche il catalogo inglese caricato e attivo
+function loadEnglishApp() {
+  const app = loadApp();
+  const appState = app.run("appState");
+  appState.catalogues.en = JSON.parse(
+    readFileSync(new URL("../src/assets/json/i18n/en.json", import.meta.url), "utf8")
+  );
+  appState.locale = "en";
+  return app;
+}
+
+test("t sceglie la forma plurale in base a count", () => {
+  const app = loadApp();
+  const t = app.run("t");
+  assert.equal(t("common.recipeCount", { count: 1 }), "1 ricetta");
+  assert.equal(t("common.recipeCount", { count: 0 }), "0 ricette");
+  assert.equal(t("common.recipeCount", { count: 3 }), "3 ricette");
+  // Senza count numerico si usa la forma "other"
+  assert.equal(t("common.recipeCount"), "{count} ricette");
+
+  const english = loadEnglishApp().run("t");
+  assert.equal(english("common.recipeCount", { count: 1 }), "1 recipe");
+  assert.equal(english("common.recipeCount", { count: 0 }), "0 recipes");
+});
+
+test("t ripiega sul catalogo italiano e poi sulla chiave", () => {
+  const app = loadEnglishApp();
+  delete app.run("appState").catalogues.en.recipe.notFound;
+  const t = app.run("t");
+  assert.equal(t("recipe.notFound"), "Ricetta non trovata.");
+  assert.equal(t("no.such.key"), "no.such.key");
+});
+
+test("resolveLocale: lingua del profilo, poi del browser, poi italiano", () => {
+  const app = loadApp();
+  const resolveLocale = app.run("resolveLocale");
+  const navigator = app.run("navigator");
+
+  navigator.languages = ["fr-FR", "en-US", "it"];
+  assert.equal(resolveLocale(null), "en");
+  assert.equal(resolveLocale({ language: "it" }), "it");
+  // Una lingua del profilo non più disponibile vale come nessuna scelta
+  assert.equal(resolveLocale({ language: "fr" }), "en");
+
+  navigator.languages = ["fr-FR", "de"];
+  assert.equal(resolveLocale(null), "it");
+
+  // Browser senza navigator.languages: si usa navigator.language
+  navigator.languages = [];
+  navigator.language = "EN-gb";
+  assert.equal(resolveLocale(null), "en");
+});
+
+test("categoria, cucina e istruzioni mancanti sono mostrate nella lingua attiva", () => {
+  const app = loadEnglishApp();
+  const meal = { id: "personal_1", category: "", area: "Italian", instructions: "" };
+  assert.equal(app.run("formatMealOrigin")(meal), "N/A · Italian");
+  assert.deepEqual([...app.run("getInstructionSteps")(meal)], ["Instructions not available"]);
+});
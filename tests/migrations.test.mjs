@@ -0,0 +1,38 @@
+// Migrazioni dello schema dei dati salvati
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadApp } from "./helpers/load-app.mjs";
+
+test("la migrazione 4 svuota i testi italiani dei valori mancanti nelle ricette", async () => {
+  const app = loadApp();
+  const legacy = { category: "N/D", area: "N/D", instructions: "Istruzioni non disponibili" };
+  app.seed("SCHEMA_VERSION", 3);
+  app.seed("USERS", []);
+  app.seed("REVIEWS", []);
+  app.seed("MEALS", {
+    52771: { id: "52771", name: "Arrabiata", ingredients: [], tags: [], ...legacy },
+    52772: {
+      id: "52772",
+      name: "Teriyaki",
+      category: "Chicken",
+      area: "Japanese",
+      instructions: "Cook."
+    }
+  });
+  app.seed("RECIPES", {
+    personal_1: { id: "personal_1", name: "Zuppa", ingredients: [], ...legacy }
+  });
+
+  await app.run("runSchemaMigrations")();
+
+  const meals = app.run("getMealsCache()");
+  const recipes = app.run("getPersonalRecipes()");
+  [meals[52771], recipes.personal_1].forEach(recipe => {
+    assert.equal(recipe.category, "");
+    assert.equal(recipe.area, "");
+    assert.equal(recipe.instructions, "");
+  });
+  assert.equal(meals[52772].category, "Chicken");
+  assert.equal(meals[52772].instructions, "Cook.");
+  assert.equal(app.run("loadFromStorage")(app.run("STORAGE_KEYS.SCHEMA_VERSION"), 0), 4);
+});
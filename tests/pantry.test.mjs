@@ -0,0 +1,79 @@
+// Dispensa: chiavi normalizzate degli ingredienti e copertura delle ricette
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadApp } from "./helpers/load-app.mjs";
+
+function createMeal(...names) {
+  return { id: "52771", name: "Test", ingredients: names.map(name => ({ name, measure: "" })) };
+}
+
+test("getPantryKey unifica maiuscole, plurali e sinonimi", () => {
+  const getPantryKey = loadApp().run("getPantryKey");
+  assert.equal(getPantryKey("  Large Onions "), "large onion");
+  assert.equal(getPantryKey("Red Onions"), getPantryKey("onion"));
+  assert.equal(getPantryKey("Tomatoes"), "tomato");
+  assert.equal(getPantryKey("Eggs"), "egg");
+  assert.equal(getPantryKey("Scallions"), getPantryKey("spring onion"));
+  assert.equal(getPantryKey("Capsicum"), getPantryKey("bell pepper"));
+  assert.equal(getPantryKey("Red Peppers"), getPantryKey("bell pepper"));
+});
+
+test("la dispensa copre le varianti che differiscono solo per parole descrittive", () => {
+  const app = loadApp();
+  const getPantryKey = app.run("getPantryKey");
+  const matchMealWithPantry = app.run("matchMealWithPantry");
+  const pantryKeys = new Set(["onion", "egg", "chicken", "pepper", "oil"].map(getPantryKey));
+  const match = matchMealWithPantry(
+    createMeal("Red Onion", "Large Free Range Eggs", "Fresh Chicken", "Extra Virgin Oil", "Water"),
+    pantryKeys
+  );
+  assert.equal(match.total, 5);
+  assert.equal(match.covered, 5);
+  assert.equal(match.missing.length, 0);
+});
+
+test("l’ingrediente intero copre i suoi tagli", () => {
+  const app = loadApp();
+  const getPantryKey = app.run("getPantryKey");
+  const matchMealWithPantry = app.run("matchMealWithPantry");
+  const pantryKeys = new Set(["chicken", "salmon"].map(getPantryKey));
+  const match = matchMealWithPantry(
+    createMeal("Chicken Breast", "Boneless Chicken Thighs", "Chicken Legs", "Salmon Fillets"),
+    pantryKeys
+  );
+  assert.equal(match.covered, 4);
+});
+
+test("un ingrediente diverso con una parola in comune non è coperto", () => {
+  const app = loadApp();
+  const getPantryKey = app.run("getPantryKey");
+  const matchMealWithPantry = app.run("matchMealWithPantry");
+  const pantryKeys = new Set(["chicken", "pepper", "egg", "oil", "wine"].map(getPantryKey));
+  const names = [
+    "Chicken Stock",
+    "Bell Pepper",
+    "Red Pepper",
+    "Egg Noodles",
+    "Olive Oil",
+    "White Wine",
+    "Chicken Thighs"
+  ];
+  const match = matchMealWithPantry(createMeal(...names), pantryKeys);
+  assert.equal(match.covered, 1);
+  // Solo "Chicken Thighs" è coperto, come taglio di "chicken"
+  assert.deepEqual(
+    match.missing.map(item => item.name),
+    names.filter(name => name !== "Chicken Thighs")
+  );
+});
+
+test("un taglio in dispensa non copre gli altri tagli né l’ingrediente intero", () => {
+  const app = loadApp();
+  const getPantryKey = app.run("getPantryKey");
+  const matchMealWithPantry = app.run("matchMealWithPantry");
+  const match = matchMealWithPantry(
+    createMeal("Chicken Thighs", "Chicken"),
+    new Set([getPantryKey("chicken breast")])
+  );
+  assert.equal(match.covered, 0);
+});
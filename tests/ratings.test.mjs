@@ -0,0 +1,50 @@
+// Valutazioni aggregate delle ricette (pannello recensioni, badge, “Le più amate”, sort=rating)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadApp } from "./helpers/load-app.mjs";
+
+function createReview(id, userId, gusto, difficolta = 3) {
+  return { id, recipeId: "52771", userId, dataPreparazione: "2026-03-05", gusto, difficolta };
+}
+
+test("le preparazioni di uno stesso utente contano come un solo voto", () => {
+  const app = loadApp();
+  app.seed("REVIEWS", [
+    // Dieci preparazioni da 5 di user_1, una da 1 di user_2
+    ...Array.from({ length: 10 }, (_, index) => createReview(`r${index}`, "user_1", 5, 2)),
+    createReview("r10", "user_2", 1, 4)
+  ]);
+  const rating = app.run("getRecipeRatings()").get("52771");
+  assert.deepEqual(structuredClone(rating), {
+    count: 2,
+    taste: 3,
+    difficulty: 3,
+    distribution: [1, 0, 0, 0, 1]
+  });
+});
+
+test("ogni utente vota con la media delle sue preparazioni", () => {
+  const app = loadApp();
+  app.seed("REVIEWS", [
+    createReview("r1", "user_1", 5),
+    createReview("r2", "user_1", 3),
+    createReview("r3", "user_2", 2)
+  ]);
+  const rating = app.run("getRecipeRatings()").get("52771");
+  assert.equal(rating.count, 2);
+  assert.equal(rating.taste, 3);
+  assert.deepEqual([...rating.distribution], [0, 1, 0, 1, 0]);
+});
+
+test("sort=rating non premia chi registra molte preparazioni", () => {
+  const app = loadApp();
+  app.seed("REVIEWS", [
+    ...Array.from({ length: 5 }, (_, index) => ({
+      ...createReview(`a${index}`, "user_1", 5),
+      recipeId: "1"
+    })),
+    { ...createReview("b1", "user_2", 1), recipeId: "1" },
+    { ...createReview("c1", "user_1", 4), recipeId: "2" }
+  ]);
+  assert.deepEqual([...app.run("sortMealIdsByRating")(["1", "2"])], ["2", "1"]);
+});
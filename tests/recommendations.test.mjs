@@ -0,0 +1,26 @@
+// Consigli della home: profilo dei gusti e punteggio delle ricette
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadApp } from "./helpers/load-app.mjs";
+
+test("utenti senza ricettario e ricette senza tag non interrompono i consigli", () => {
+  const app = loadApp();
+  // Ricetta in cache salvata prima che esistessero i tag
+  app.seed("MEALS", {
+    52771: {
+      id: "52771",
+      name: "Spicy Arrabiata Penne",
+      category: "Vegetarian",
+      area: "Italian",
+      ingredients: [{ name: "Penne Rigate", measure: "1 pound" }]
+    }
+  });
+  app.seed("REVIEWS", [
+    { id: "r1", recipeId: "52771", userId: "user_1", dataPreparazione: "2026-01-02", gusto: 5 }
+  ]);
+  const profile = app.run("buildTasteProfile")({ id: "user_1", favorites: "penne" });
+  assert.equal(profile.categories.get("Vegetarian"), 2);
+
+  const score = app.run("scoreRecommendation")(app.run("getMealsCache()")[52771], profile);
+  assert.ok(score > 0);
+});